@@ -0,0 +1,59 @@
+// Times the /api/compatible candidate scan: a full equip-order DP per candidate (computeBuildStats) against
+// buildStatsScanner, which runs the base build's DP once and reuses it for every candidate.
+// Run with `npm run bench`; test/equipOrderScan.test.js checks that both give the same answers.
+import { buildStatsScanner, computeBuildStats } from "../src/compat.js";
+
+const BUDGET = 200;
+const CANDIDATES = 300;
+const REPEATS = 5;
+
+function rng(seed) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x / 2147483648;
+  };
+}
+
+// an 8-piece base (two of a set) with four tomes, and ring candidates, some from the same set
+function mkBuild(seed) {
+  const rand = rng(seed);
+  const skills = () => Array.from({ length: 5 }, () => (rand() < 0.4 ? Math.floor(rand() * 60) : 0));
+  const bonuses = () => Array.from({ length: 5 }, () => (rand() < 0.3 ? Math.floor(rand() * 20) - 6 : 0));
+  const item = (name, slot, extra = {}) => {
+    const bonusArr = bonuses();
+    return { name, slot, reqArr: skills(), bonusArr, bonusEffArr: bonusArr, set: null, ...extra };
+  };
+  const set = { name: "Bench", tiers: [{ count: 2, bonusArr: [0, 8, 0, 0, 8] }, { count: 3, bonusArr: [5, 12, 0, 0, 12] }] };
+
+  const base = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"]
+    .map((slot, i) => item(`base-${i}`, slot, i < 2 ? { set } : {}));
+  for (let t = 0; t < 4; t++) {
+    base.push({ name: `tome-${t}`, slot: "tome", reqArr: [0, 0, 0, 0, 0], bonusArr: [0, 0, 0, 3, 0], bonusEffArr: [0, 0, 0, 3, 0], set: null });
+  }
+  const candidates = Array.from({ length: CANDIDATES }, (_, i) => item(`cand-${i}`, "ring", i % 10 === 0 ? { set } : {}));
+  return { base, candidates };
+}
+
+// fastest of REPEATS runs after a warm-up, so neither path pays for a cold JIT
+function timed(run) {
+  run();
+  let ms = Infinity;
+  for (let r = 0; r < REPEATS; r++) {
+    const start = performance.now();
+    run();
+    ms = Math.min(ms, performance.now() - start);
+  }
+  return ms;
+}
+
+const { base, candidates } = mkBuild(7);
+const fullMs = timed(() => candidates.map((c) => computeBuildStats(base.concat([c]), BUDGET)));
+const scanMs = timed(() => {
+  const statsWith = buildStatsScanner(base, BUDGET);
+  return candidates.map((c) => statsWith(c));
+});
+
+console.log(`${candidates.length} candidates on a ${base.length}-item base, fastest of ${REPEATS} runs:`);
+console.log(`  computeBuildStats per candidate  ${fullMs.toFixed(1)} ms`);
+console.log(`  buildStatsScanner                ${scanMs.toFixed(1)} ms  (${(fullMs / scanMs).toFixed(1)}x)`);
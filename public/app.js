@@ -40,6 +40,7 @@ const state = {
   tomes: [],
 
   lastResponse: null,
+  solveJob: null, // { id, source } while a background solve runs
 
   compare: { slotKey: null, candidateName: null, candidate: null, currentName: null, slotLabel: null },
   ringTargetKey: "ring1"
@@ -84,12 +85,25 @@ function badge(text) {
   return span;
 }
 
+// bolds the [start, end) ranges /api/search matched
+function appendHighlighted(parent, text, ranges) {
+  let at = 0;
+  for (const [start, end] of ranges || []) {
+    if (start > at) parent.appendChild(document.createTextNode(text.slice(at, start)));
+    const b = document.createElement("b");
+    b.textContent = text.slice(start, end);
+    parent.appendChild(b);
+    at = end;
+  }
+  if (at < text.length) parent.appendChild(document.createTextNode(text.slice(at)));
+}
+
 function makeSuggestItem(it) {
   const div = document.createElement("div");
   div.className = "suggestItem";
 
   const name = document.createElement("span");
-  name.textContent = it.name;
+  appendHighlighted(name, it.name, it.highlight);
 
   const meta = document.createElement("span");
   meta.className = "small suggestMeta";
@@ -127,6 +141,10 @@ function gatherPayload() {
 
     rarities,
     minItemLevel: Number(el("minItemLevel").value),
+    rollMode: el("rollMode")?.value || "avg",
+    majorId: el("majorId")?.value.trim() || null,
+    requiredMajorIds: el("majorId")?.value.trim() || null, // solve: somewhere in the build
+    minPowderSlots: Number(el("minPowderSlots")?.value || 0) || null,
     limit: Number(el("limit").value),
     sortBy: el("sortBy").value,
 
@@ -143,6 +161,7 @@ function gatherPayload() {
     targetSlot,
     targetSlotKey,
     tomes: state.tomes,
+    pickTomes: el("pickTomes")?.checked ?? false,
 
     debug: el("debug").checked,
     debugLimit: Number(el("debugLimit").value),
@@ -343,7 +362,7 @@ function renderSlots() {
     suggestWrap.className = "suggest";
 
     const input = document.createElement("input");
-    input.placeholder = `Search ${s.label}...`;
+    input.placeholder = `Search ${s.label}... (or dex>=5 lvl:60..80)`;
     input.value = state.selected[s.key] || "";
     input.autocomplete = "off";
 
@@ -531,18 +550,27 @@ async function refresh() {
 
     // allocation preview
     if (json.allocationPreview?.length) {
-      const top3 = json.allocationPreview.slice(0, 3).map((a) => {
+      const lines = json.allocationPreview.map((a) => {
         const v = a.alloc;
-        return `${a.name}: used ${a.used}, rem ${a.remaining} | STR ${v.strength} DEX ${v.dexterity} INT ${v.intelligence} DEF ${v.defence} AGI ${v.agility}`;
+        const e = a.effects;
+        const effects = e ? ` | dmg +${e.damageBonus}% crit ${e.critChance}% cost -${e.spellCostReduction}% dmg taken -${e.damageReduction}% dodge ${e.dodgeChance}%` : "";
+        return `${a.name}: used ${a.used}, rem ${a.remaining} | STR ${v.strength} DEX ${v.dexterity} INT ${v.intelligence} DEF ${v.defence} AGI ${v.agility}${effects}`;
       });
-      setText("alloc", "Allocation preview:\n" + top3.join("\n"));
+      setText("alloc", "Allocation preview:\n" + lines.join("\n"));
     } else {
       setText("alloc", "Allocation preview: (build invalid / over budget)");
     }
 
     // set synergy
     const sy = json.setSynergy;
-    if (sy && sy.count) {
+    if (sy && sy.sets?.length) {
+      const lines = sy.sets.map((x) => {
+        const active = x.activeBonus ? `active ${x.activeBonus.pieces}-piece bonus: ${bonusStr(SKILLS.map((k) => x.activeBonus.skills[k]))}` : "no bonus yet";
+        const next = x.nextBonusAt ? `, next at ${x.nextBonusAt}` : "";
+        return `${x.name}: ${x.pieces}/${x.of} (${x.members.join(", ")}) | ${active}${next}`;
+      });
+      setText("setSynergy", `Set synergy: ${sy.count} set items\n` + lines.join("\n"));
+    } else if (sy && sy.count) {
       const groups = Object.entries(sy.groups || {}).map(([k, v]) => `${k}: ${v.length} (${v.join(", ")})`);
       setText("setSynergy", `Set synergy: ${sy.count} set items\n` + groups.join("\n"));
     }
@@ -645,6 +673,10 @@ function renderResults(results, targetSlot, targetSlotKey = "") {
       nameLine.appendChild(badge(`lvl ${it.levelReq}`));
       nameLine.appendChild(badge(`rem ${it.remainingAfter}`));
       nameLine.appendChild(badge(`Δrem ${it.deltaRemaining >= 0 ? "+" : ""}${it.deltaRemaining}`));
+      if (it.dps) nameLine.appendChild(badge(`${it.dps} dps`));
+      else if (it.baseHealth) nameLine.appendChild(badge(`${it.baseHealth} hp`));
+      for (const m of it.majorIds ?? []) nameLine.appendChild(badge(m));
+      if (it.powderSlots) nameLine.appendChild(badge(`${it.powderSlots} powder`));
 
       left.appendChild(nameLine);
 
@@ -895,13 +927,13 @@ function wireTomeSearch() {
 
 function wireControls() {
   const immediateRefreshers = [
-    "class","strictWeaponClass","searchMode","sortBy",
+    "class","strictWeaponClass","searchMode","sortBy","rollMode",
     "noMythic","noCrafted","noNegItem","noNegNet","debug"
   ];
   for (const id of immediateRefreshers) el(id)?.addEventListener("change", refresh);
 
   const debouncedRefreshers = [
-    "level","extraPoints","minItemLevel","limit","mustGiveStat","minImprove","debugLimit"
+    "level","extraPoints","minItemLevel","majorId","minPowderSlots","limit","mustGiveStat","minImprove","debugLimit"
   ];
   for (const id of debouncedRefreshers) {
     el(id)?.addEventListener("input", () => scheduleRefresh());
@@ -948,6 +980,7 @@ function wireControls() {
   el("explainBtn")?.addEventListener("click", explainItem);
 
   el("solve")?.addEventListener("click", solveBuild);
+  el("solveCancel")?.addEventListener("click", cancelSolve);
 }
 
 async function explainItem() {
@@ -968,46 +1001,119 @@ async function explainItem() {
   }
 }
 
+function setSolveRunning(running) {
+  const solveBtn = el("solve");
+  if (solveBtn) solveBtn.disabled = running;
+  setVisible(el("solveCancel"), running);
+}
+
+function finishSolveJob() {
+  state.solveJob?.source.close();
+  state.solveJob = null;
+  setSolveRunning(false);
+}
+
+// the solve runs as a background job; its events stream progress and then the /api/solve result
 async function solveBuild() {
+  if (state.solveJob) return;
+  setText("solveStatus", "Starting solver…");
+  setSolveRunning(true);
   try {
     const payload = gatherPayload();
-    const json = await apiJson("/api/solve", {
+    const { jobId } = await apiJson("/api/solve/jobs", {
       method: "POST",
       headers: { "content-type": "application/json" },
       body: JSON.stringify(payload),
     });
 
-    const truncatedHint = json.truncated
-      ? " Search budget was reached; tighten filters or lock more slots for higher-quality results."
-      : "";
+    const source = new EventSource(`/api/solve/jobs/${encodeURIComponent(jobId)}/events`);
+    state.solveJob = { id: jobId, source };
+    source.addEventListener("progress", (ev) => {
+      const p = JSON.parse(ev.data);
+      const best = p.best ? ` Best so far: ${p.best.remaining} SP left.` : "";
+      setText("solveStatus", `Solving… ${p.nodesVisited.toLocaleString()} of ${p.maxNodes.toLocaleString()} nodes.${best}`);
+    });
+    source.addEventListener("done", (ev) => {
+      finishSolveJob();
+      applySolution(JSON.parse(ev.data));
+    });
+    source.addEventListener("cancelled", () => {
+      finishSolveJob();
+      setText("solveStatus", "Solve cancelled.");
+    });
+    source.addEventListener("failed", (ev) => {
+      finishSolveJob();
+      setText("solveStatus", `Solver error: ${JSON.parse(ev.data).details}`);
+    });
+    // a dropped stream gets one reconnect; a refused one (e.g. the job is gone) or a second drop ends the solve
+    let dropped = false;
+    source.addEventListener("open", () => {
+      dropped = false;
+    });
+    source.addEventListener("error", () => {
+      if (state.solveJob?.source !== source) return;
+      if (source.readyState !== EventSource.CLOSED && !dropped) {
+        dropped = true;
+        return;
+      }
+      finishSolveJob();
+      // the job may still be running; free its slot
+      fetch(`/api/solve/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE" }).catch(() => {});
+      setText("solveStatus", "Solver error: lost the connection to the solve job.");
+    });
+  } catch (e) {
+    finishSolveJob();
+    setText("solveStatus", `Solver error: ${e.message || e}`);
+  }
+}
 
-    if (!json.found) {
-      alert(`Solver: no full build found with current locks/filters. Try loosening filters or locking fewer items.${truncatedHint}`);
-      return;
-    }
+async function cancelSolve() {
+  const job = state.solveJob;
+  if (!job) return;
+  try {
+    await apiJson(`/api/solve/jobs/${encodeURIComponent(job.id)}`, { method: "DELETE" });
+    finishSolveJob();
+    setText("solveStatus", "Solve cancelled.");
+  } catch (e) {
+    setText("solveStatus", `Cancel failed: ${e.message || e}`);
+  }
+}
 
-    // Apply solution back into selection (best effort)
-    const bySlot = {};
-    for (const it of json.items) {
-      if (it.slot === "ring") (bySlot.rings ??= []).push(it.name);
-      else bySlot[it.slot] = it.name;
-    }
+function applySolution(json) {
+  const truncatedHint = json.truncated
+    ? " Search budget was reached; tighten filters or lock more slots for higher-quality results."
+    : "";
 
-    for (const s of slotKeys) {
-      if (s.slot === "ring") continue;
-      if (bySlot[s.slot]) state.selected[s.key] = bySlot[s.slot];
-    }
-    const rings = (bySlot.rings ?? []);
-    if (rings[0]) state.selected.ring1 = rings[0];
-    if (rings[1]) state.selected.ring2 = rings[1];
+  if (!json.found) {
+    setText("solveStatus", `No full build found with current locks/filters. Try loosening filters or locking fewer items.${truncatedHint}`);
+    return;
+  }
 
-    renderSlots();
-    refresh();
+  // Apply solution back into selection (best effort)
+  const bySlot = {};
+  for (const it of json.items) {
+    // owned copies are selected by their instance id so their exact rolls stay in use
+    const value = it.owned ? `owned:${it.owned.id}` : it.name;
+    if (it.slot === "ring") (bySlot.rings ??= []).push(value);
+    else bySlot[it.slot] = value;
+  }
 
-    alert(`Solver found build. Remaining SP: ${json.score.remaining} (neg tradeoffs: ${json.score.neg}).${truncatedHint}`);
-  } catch (e) {
-    alert(`Solver error: ${e.message || e}`);
+  for (const s of slotKeys) {
+    if (s.slot === "ring") continue;
+    if (bySlot[s.slot]) state.selected[s.key] = bySlot[s.slot];
   }
+  const rings = (bySlot.rings ?? []);
+  if (rings[0]) state.selected.ring1 = rings[0];
+  if (rings[1]) state.selected.ring2 = rings[1];
+
+  for (const name of json.pickedTomes ?? []) state.tomes.push(name);
+
+  renderSlots();
+  renderTomes();
+  refresh();
+
+  const tomeHint = json.pickedTomes?.length ? ` Added tomes: ${json.pickedTomes.join(", ")}.` : "";
+  setText("solveStatus", `Found a build. Remaining SP: ${json.score.remaining} (neg tradeoffs: ${json.score.neg}).${tomeHint}${truncatedHint}`);
 }
 
 (async function init() {
@@ -2,6 +2,8 @@ import express from "express";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { buildApiRouter } from "./src/api.js";
+import { dataSourceConfigFromEnv } from "./src/dataSource.js";
+import { loadRulesetFile } from "./src/ruleset.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,6 +15,9 @@ app.use(express.static(path.join(__dirname, "public")));
 
 app.use("/api", await buildApiRouter({
   cacheDir: __dirname,
+  dataSource: dataSourceConfigFromEnv(process.env),
+  setsFile: process.env.WYNN_SETS_FILE ?? null,
+  ruleset: loadRulesetFile(process.env.WYNN_RULESET_FILE ?? path.join(__dirname, "wynn_ruleset.json")),
 }));
 
 // friendly error handler
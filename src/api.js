@@ -1,8 +1,20 @@
+import path from "node:path";
 import express from "express";
 import { WynnDb } from "./wynnDb.js";
 import { LRUCache } from "./lru.js";
-import { SKILLS, SKI, skillBudgetFromLevel, computeBuildStats, minFinalSpend, negSumArr, toObj } from "./compat.js";
+import { SKILLS, SKI, ROLL_MODES, DEFAULT_ROLL_MODE, skillBudgetFromLevel, computeBuildStats, buildStatsScanner, minFinalSpend, minAllocation, negSumArr, toObj, bonusFor, effBonus } from "./compat.js";
+import { presetEffects } from "./skillEffects.js";
+import { DEFAULT_RULESET, parseRuleset, weaponTypeForClass } from "./ruleset.js";
+import { resolveTomes, tomeUsage } from "./tomes.js";
+import { liveSwap } from "./liveSwap.js";
 import { solveBuild } from "./solver.js";
+import { SolveJobs } from "./solveJobs.js";
+import { itemStat, parseObjective, parseParetoAxis } from "./objectives.js";
+import { diffSnapshots } from "./snapshots.js";
+import { setSummary } from "./sets.js";
+import { parseSearchQuery, SEARCH_FIELDS } from "./searchIndex.js";
+import { validateCustomItem } from "./customItems.js";
+import { OwnedItemStore, ownedRef, validateOwnedItem, instanceItem } from "./ownedItems.js";
 
 const GEAR_SLOT_KEYS = [
   { key: "helmet", slot: "helmet" },
@@ -21,11 +33,18 @@ const DEFAULT_RING_POOL_CAP = 140;
 const MAX_POOL_CAP = 250;
 const MAX_RING_POOL_CAP = 320;
 const DEFAULT_SOLVE_MAX_NODES = 200000;
+const MAX_SOLVE_RESULTS = 50;
 const MAX_SOLVE_MAX_NODES = 2000000;
+const MIN_SOLVE_TIME_LIMIT_MS = 50;
+const MAX_SOLVE_TIME_LIMIT_MS = 60000;
 const DEFAULT_STRICT_WEAPON_CLASS = true;
-const ALLOWED_CLASS_VALUES = ["warrior", "archer", "mage", "assassin", "shaman"];
-const ACCEPTED_CLASS_VALUES = [...ALLOWED_CLASS_VALUES, "", null];
-const ALLOWED_CLASS_SET = new Set(ALLOWED_CLASS_VALUES);
+
+// base-stat sort modes shared by /search and /compatible (highest first)
+const BASE_STAT_SORTS = {
+  highestDps: (it) => it.dps ?? 0,
+  highestBaseHp: (it) => it.baseHealth ?? 0,
+  highestEleDef: (it) => (it.baseDefArr ?? []).reduce((s, v) => s + v, 0),
+};
 
 function stableKey(obj) {
   // stable stringify (enough for caching our request bodies)
@@ -41,22 +60,6 @@ function stableKey(obj) {
   });
 }
 
-function fuzzyScore(query, text) {
-  // simple subsequence score
-  let qi = 0;
-  let score = 0;
-  for (let ti = 0; ti < text.length && qi < query.length; ti++) {
-    if (text[ti] === query[qi]) { score += 2; qi++; }
-    else score -= 0.2;
-  }
-  return (qi === query.length) ? score : -Infinity;
-}
-
-function weaponTypeForClass(cls) {
-  const m = { warrior: "spear", mage: "wand", archer: "bow", assassin: "dagger", shaman: "relik" };
-  return m[cls] ?? null;
-}
-
 function parseBool(value, fallback) {
   if (value == null) return fallback;
   if (typeof value === "boolean") return value;
@@ -89,15 +92,76 @@ function parseOptionalSafeNumber(value, { min = -Infinity, max = Infinity, floor
   return parseSafeNumber(parsed, { fallback: parsed, min, max, floor });
 }
 
-function parseClassValue(value) {
+function parseIdThresholds(value) {
+  // { [identification]: minimum average roll }; accepts JSON bodies and extended query objects
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+  const out = {};
+  for (const [id, raw] of Object.entries(value)) {
+    const min = parseOptionalSafeNumber(raw);
+    if (min != null) out[id] = min;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+function parseAssignedPoints(value) {
+  // { strength, dexterity, ... } -> [STR, DEX, INT, DEF, AGI]; missing skills are 0
+  if (value == null) return { ok: true, value: null };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { ok: false, error: "Invalid assigned", details: "assigned must be an object of skill points", acceptedValues: SKILLS };
+  }
+  const unknown = Object.keys(value).find((k) => !Object.hasOwn(SKI, k));
+  if (unknown) return { ok: false, error: "Invalid assigned", details: `unknown skill "${unknown}"`, acceptedValues: SKILLS };
+  const out = SKILLS.map((s) => Number(value[s] ?? 0));
+  const bad = SKILLS.find((s, i) => !Number.isInteger(out[i]) || out[i] < 0);
+  if (bad) return { ok: false, error: "Invalid assigned", details: `${bad} must be a whole number >= 0`, acceptedValues: SKILLS };
+  return { ok: true, value: out };
+}
+
+// identifications at the request's roll (average where the route takes no rollMode), like objectives
+function failsIdThresholds(it, minIds, rollMode) {
+  if (!minIds) return false;
+  return Object.entries(minIds).some(([id, min]) => itemStat(it, id, rollMode) < min);
+}
+
+function parseMajorIds(value) {
+  // one name or a list; matched case-insensitively against it.majorIds
+  const list = (Array.isArray(value) ? value : [value])
+    .map((v) => String(v ?? "").trim().toLowerCase())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+function hasMajorId(it, lowerName) {
+  return (it.majorIds ?? []).some((m) => m.toLowerCase() === lowerName);
+}
+
+function failsMajorIds(it, majorIds) {
+  return Boolean(majorIds) && !majorIds.some((m) => hasMajorId(it, m));
+}
+
+// accepted classes are the ruleset's classWeapons keys
+function parseClassValue(value, ruleset = DEFAULT_RULESET) {
   if (value == null) return { ok: true, value: null };
   const normalized = String(value).toLowerCase().trim();
   if (!normalized) return { ok: true, value: null };
-  if (!ALLOWED_CLASS_SET.has(normalized)) {
+  if (!Object.hasOwn(ruleset.classWeapons, normalized)) {
     return {
       ok: false,
       error: "Invalid class",
-      acceptedValues: ACCEPTED_CLASS_VALUES,
+      acceptedValues: [...Object.keys(ruleset.classWeapons), "", null],
+    };
+  }
+  return { ok: true, value: normalized };
+}
+
+function parseRollMode(value) {
+  if (value == null || value === "") return { ok: true, value: DEFAULT_ROLL_MODE };
+  const normalized = String(value).toLowerCase().trim();
+  if (!ROLL_MODES.includes(normalized)) {
+    return {
+      ok: false,
+      error: "Invalid rollMode",
+      acceptedValues: ROLL_MODES,
     };
   }
   return { ok: true, value: normalized };
@@ -107,11 +171,13 @@ export function parseStrictWeaponClass(value) {
   return parseBool(value, DEFAULT_STRICT_WEAPON_CLASS);
 }
 
-function parseSharedFilterParams(input, { strictDefault = DEFAULT_STRICT_WEAPON_CLASS } = {}) {
+// rulesParsed merges input.ruleset over `ruleset` (the server's); check it before clsParsed
+function parseSharedFilterParams(input, { strictDefault = DEFAULT_STRICT_WEAPON_CLASS, ruleset = DEFAULT_RULESET } = {}) {
   const level = parseSafeNumber(input.level, { fallback: 106, min: 1 });
-  const clsParsed = parseClassValue(input.class);
+  const rulesParsed = parseRuleset(input.ruleset, ruleset);
+  const clsParsed = parseClassValue(input.class, rulesParsed.ok ? rulesParsed.value : ruleset);
   const strictWeaponClass = parseBool(input.strictWeaponClass, strictDefault);
-  return { level, clsParsed, strictWeaponClass };
+  return { level, clsParsed, strictWeaponClass, rulesParsed };
 }
 
 function targetSlotKey(targetSlot, requestedKey, selectedItemsByKey, locks) {
@@ -161,7 +227,7 @@ export function passesFilters(it, ctx) {
     if (it.classReq && it.classReq !== ctx.class) return false;
 
     if (it.slot === "weapon" && ctx.strictWeaponClass) {
-      const w = weaponTypeForClass(ctx.class);
+      const w = weaponTypeForClass(ctx.class, ctx.ruleset);
       if (w && it.weaponType && it.weaponType !== w) return false;
     }
   }
@@ -176,18 +242,41 @@ export function passesFilters(it, ctx) {
   if (ctx.noCraftedBestEffort && !it.identifier) return false;
 
   if (ctx.noNegativeItemSkillBonuses) {
-    if (it.bonusArr.some((v) => v < 0)) return false;
+    if (bonusFor(it, ctx.rollMode).some((v) => v < 0)) return false;
   }
 
   if (ctx.mustGiveStat != null) {
     const idx = ctx.mustGiveStat;
-    const bonus = it.slot === "weapon" ? it.bonusArr[idx] : it.bonusEffArr[idx];
+    const bonus = it.slot === "weapon" ? bonusFor(it, ctx.rollMode)[idx] : effBonus(it, ctx.rollMode, ctx.ruleset)[idx];
     if (bonus <= 0) return false;
   }
 
+  if (failsIdThresholds(it, ctx.minIds, ctx.rollMode)) return false;
+  if (failsMajorIds(it, ctx.majorIds)) return false;
+  if (ctx.minPowderSlots != null && (it.powderSlots ?? 0) < ctx.minPowderSlots) return false;
+
   return true;
 }
 
+function liveSwapOut(swap) {
+  return { ...swap, assignFirst: swap.assignFirst ? toObj(swap.assignFirst) : null };
+}
+
+// computeBuildStats().equipOrder -> API shape (skill arrays as objects), null when no order works
+function equipOrderOut(order, items) {
+  if (!order) return null;
+  return {
+    steps: order.steps.map((st, k) => ({
+      step: k + 1,
+      name: st.name,
+      slot: items[st.index].slot,
+      add: toObj(st.add),
+      assigned: toObj(st.assigned),
+    })),
+    assigned: toObj(order.assigned),
+  };
+}
+
 function reasonFails(it, ctx, baseItems, candidateItems, baselineSpend = null) {
   // ordered reasons
   if (it.levelReq > ctx.level) return "fails level";
@@ -195,18 +284,21 @@ function reasonFails(it, ctx, baseItems, candidateItems, baselineSpend = null) {
   if (ctx.class) {
     if (it.classReq && it.classReq !== ctx.class) return "fails class";
     if (it.slot === "weapon" && ctx.strictWeaponClass) {
-      const w = weaponTypeForClass(ctx.class);
+      const w = weaponTypeForClass(ctx.class, ctx.ruleset);
       if (w && it.weaponType && it.weaponType !== w) return "fails weapon class";
     }
   }
   if (ctx.allowedRarities?.length && !ctx.allowedRarities.includes(it.rarity)) return "fails rarity";
   if (ctx.noMythic && String(it.rarity).toLowerCase() === "mythic") return "excluded mythic";
   if (ctx.noCraftedBestEffort && !it.identifier) return "excluded crafted/unidentified";
-  if (ctx.noNegativeItemSkillBonuses && it.bonusArr.some((v) => v < 0)) return "excluded negative skill bonus";
+  if (ctx.noNegativeItemSkillBonuses && bonusFor(it, ctx.rollMode).some((v) => v < 0)) return "excluded negative skill bonus";
+  if (failsIdThresholds(it, ctx.minIds, ctx.rollMode)) return "fails identification minimum";
+  if (failsMajorIds(it, ctx.majorIds)) return "fails major ID";
+  if (ctx.minPowderSlots != null && (it.powderSlots ?? 0) < ctx.minPowderSlots) return "fails powder slots";
 
   // final budget + equip order checks
   const test = baseItems.concat(candidateItems);
-  const st = computeBuildStats(test, ctx.budget, { perSkillCap: 100 });
+  const st = computeBuildStats(test, ctx.budget, { rollMode: ctx.rollMode, ruleset: ctx.ruleset });
 
   if (ctx.noNegativeNetSkillBonuses && st.netBonus.some((v) => v < 0)) return "excluded negative net bonuses";
   if (st.finalSpend > ctx.budget) return "fails final budget";
@@ -214,7 +306,7 @@ function reasonFails(it, ctx, baseItems, candidateItems, baselineSpend = null) {
 
   // improvement requirement
   if (ctx.minImprove != null) {
-    const baseSpend = baselineSpend ?? minFinalSpend(baseItems);
+    const baseSpend = baselineSpend ?? minFinalSpend(baseItems, ctx.rollMode, ctx.ruleset);
     const testSpend = st.finalSpend;
     const improve = (ctx.budget - testSpend) - (ctx.budget - baseSpend); // delta remaining
     if (improve < ctx.minImprove) return "fails improvement threshold";
@@ -223,11 +315,13 @@ function reasonFails(it, ctx, baseItems, candidateItems, baselineSpend = null) {
   return null;
 }
 
-export async function buildApiRouter({ cacheDir }) {
+export async function buildApiRouter({ cacheDir, dataSource = null, setsFile = null, customItemsFile = null, ownedItemsFile = null, ruleset: serverRuleset = DEFAULT_RULESET }) {
   const router = express.Router();
 
-  const db = new WynnDb({ cacheDir });
   const cache = new LRUCache(250);
+  // background refreshes swap the data under cached answers
+  const db = new WynnDb({ cacheDir, dataSource, setsFile, customItemsFile, onRefresh: () => cache.clear() });
+  const owned = new OwnedItemStore({ file: ownedItemsFile ?? path.join(cacheDir, "owned_items.json") });
 
   function dataUnavailableJson(error) {
     return {
@@ -256,6 +350,7 @@ export async function buildApiRouter({ cacheDir }) {
       ok: true,
       itemCount: d.items.length,
       rarities: d.rarities,
+      idNames: d.idNames,
       dataState: d.dataState,
     });
   });
@@ -270,54 +365,243 @@ export async function buildApiRouter({ cacheDir }) {
     }
   });
 
+  router.get("/data/quality", async (_req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    res.json({ ok: true, quality: d.quality, dataState: d.dataState });
+  });
+
+  router.get("/sets", async (_req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    const sets = Array.from(d.sets.values()).map((set) => ({
+      name: set.name,
+      items: set.items,
+      bonuses: set.tiers.map((t) => ({ pieces: t.count, ids: t.ids })),
+    }));
+    res.json({ ok: true, sets, dataState: d.dataState });
+  });
+
+  router.get("/snapshots", async (_req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    res.json({ ok: true, current: d.dataState.snapshotId ?? null, snapshots: db.snapshots.list() });
+  });
+
+  router.get("/changes", async (req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+
+    const index = db.snapshots.list();
+    const fromRef = String(req.query.from ?? "").trim();
+    const toRef = String(req.query.to ?? "").trim();
+
+    const to = toRef ? db.snapshots.resolve(toRef) : (index[index.length - 1] ?? null);
+    const toPos = to ? index.findIndex((x) => x.id === to.id) : -1;
+    const from = fromRef ? db.snapshots.resolve(fromRef) : (toPos > 0 ? index[toPos - 1] : null);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        ok: false,
+        error: "Snapshot not found",
+        details: !fromRef && to ? "Only one snapshot exists so far; changes appear after the next DB update." : `from=${fromRef || "(previous)"} to=${toRef || "(latest)"}`,
+        available: index.map((x) => x.id),
+      });
+    }
+
+    const cacheKey = stableKey({ changes: [from.id, to.id] });
+    const cached = cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    // a snapshot can be pruned between list() and read(), or its file damaged
+    let before;
+    let after;
+    try {
+      before = db.snapshots.read(from.id);
+      after = db.snapshots.read(to.id);
+    } catch (e) {
+      if (e?.code === "ENOENT") {
+        return res.status(404).json({
+          ok: false,
+          error: "Snapshot not found",
+          details: `${from.id} or ${to.id} is no longer stored`,
+          available: db.snapshots.list().map((x) => x.id),
+        });
+      }
+      return res.status(500).json({ ok: false, error: "Snapshot unreadable", details: String(e?.message ?? e) });
+    }
+    const diff = diffSnapshots(before, after);
+    const response = {
+      ok: true,
+      from: from.id,
+      to: to.id,
+      counts: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length },
+      ...diff,
+    };
+    cache.set(cacheKey, response);
+    res.json(response);
+  });
+
+  // selection values are item names or "owned:<id>" for a registered instance with exact rolls
+  function selectedResolver(d) {
+    const ownedById = new Map(owned.list().map((o) => [o.id, o]));
+    return (value) => {
+      const id = ownedRef(value);
+      if (id == null) return d.byName.get(String(value ?? "").trim()) ?? null;
+      const o = ownedById.get(id);
+      const base = o && d.byName.get(o.itemName);
+      return base ? instanceItem(base, o) : null;
+    };
+  }
+
+  function sendCustomItemFailure(res, result) {
+    return res.status(result.status ?? 400).json({ ok: false, error: result.error, details: result.details ?? null });
+  }
+
+  function dbItemNameConflict(d, name) {
+    const hit = d.byName.get(name);
+    if (!hit || hit.custom) return null;
+    return { status: 409, error: "Name belongs to an item in the DB", details: name };
+  }
+
+  // writes to a custom/owned items file, runs `after` (re-merge for custom items) and drops cached answers
+  function changeStoredItems(res, change, { successStatus = 200, after = null, what = "Custom items" } = {}) {
+    let result;
+    try {
+      result = change();
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: `${what} file write failed`, details: String(e?.message ?? e) });
+    }
+    if (!result.ok) return sendCustomItemFailure(res, result);
+    after?.();
+    cache.clear();
+    res.status(successStatus).json({ ok: true, item: result.item });
+  }
+
+  function changeCustomItems(res, change, successStatus = 200) {
+    changeStoredItems(res, change, { successStatus, after: () => db.refreshCustomItems() });
+  }
+
+  function changeOwnedItems(res, change, successStatus = 200) {
+    changeStoredItems(res, change, { successStatus, what: "Owned items" });
+  }
+
+  router.get("/custom-items", async (_req, res) => {
+    res.json({ ok: true, items: db.customItems.list() });
+  });
+
+  router.get("/custom-items/:id", async (req, res) => {
+    const item = db.customItems.get(req.params.id);
+    if (!item) return sendCustomItemFailure(res, { status: 404, error: "Custom item not found", details: req.params.id });
+    res.json({ ok: true, item });
+  });
+
+  router.post("/custom-items", async (req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    const parsed = validateCustomItem(req.body, serverRuleset);
+    if (!parsed.ok) return sendCustomItemFailure(res, parsed);
+    const conflict = dbItemNameConflict(d, parsed.value.name);
+    if (conflict) return sendCustomItemFailure(res, conflict);
+    changeCustomItems(res, () => db.customItems.create(parsed.value), 201);
+  });
+
+  router.put("/custom-items/:id", async (req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    const parsed = validateCustomItem(req.body, serverRuleset);
+    if (!parsed.ok) return sendCustomItemFailure(res, parsed);
+    const conflict = dbItemNameConflict(d, parsed.value.name);
+    if (conflict) return sendCustomItemFailure(res, conflict);
+    changeCustomItems(res, () => db.customItems.update(req.params.id, parsed.value));
+  });
+
+  router.delete("/custom-items/:id", async (req, res) => {
+    changeCustomItems(res, () => db.customItems.remove(req.params.id));
+  });
+
+  router.get("/owned-items", async (_req, res) => {
+    res.json({ ok: true, items: owned.list() });
+  });
+
+  router.get("/owned-items/:id", async (req, res) => {
+    const item = owned.get(req.params.id);
+    if (!item) return sendCustomItemFailure(res, { status: 404, error: "Owned item not found", details: req.params.id });
+    res.json({ ok: true, item });
+  });
+
+  router.post("/owned-items", async (req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    const parsed = validateOwnedItem(req.body, d.byName);
+    if (!parsed.ok) return sendCustomItemFailure(res, parsed);
+    changeOwnedItems(res, () => owned.create(parsed.value), 201);
+  });
+
+  router.put("/owned-items/:id", async (req, res) => {
+    const d = await ensureDbData(res);
+    if (!d) return;
+    const parsed = validateOwnedItem(req.body, d.byName);
+    if (!parsed.ok) return sendCustomItemFailure(res, parsed);
+    changeOwnedItems(res, () => owned.update(req.params.id, parsed.value));
+  });
+
+  router.delete("/owned-items/:id", async (req, res) => {
+    changeOwnedItems(res, () => owned.remove(req.params.id));
+  });
+
   router.get("/search", async (req, res) => {
-    const q = String(req.query.q ?? "").toLowerCase().trim();
+    const q = String(req.query.q ?? "").trim();
     const slot = String(req.query.slot ?? "").trim();
-    const mode = String(req.query.mode ?? "contains"); // contains | starts | fuzzy
-    const { level, clsParsed, strictWeaponClass } = parseSharedFilterParams(req.query);
+    const mode = String(req.query.mode ?? "contains"); // contains | starts | fuzzy, for bare words
+    const { level, clsParsed, strictWeaponClass, rulesParsed } = parseSharedFilterParams(req.query, { ruleset: serverRuleset });
+    if (!rulesParsed.ok) return res.status(400).json(rulesParsed);
+    const ruleset = rulesParsed.value;
     if (!clsParsed.ok) return res.status(400).json({ ok: false, error: clsParsed.error, acceptedValues: clsParsed.acceptedValues });
     const cls = clsParsed.value;
 
+    const parsed = parseSearchQuery(q);
+    if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.error, details: parsed.details, acceptedValues: SEARCH_FIELDS });
+    const terms = slot ? [{ negate: false, field: "slot", op: ":", value: slot }, ...parsed.terms] : parsed.terms;
+
     const d = await ensureDbData(res);
     if (!d) return;
-    let pool = d.items;
 
-    if (slot) pool = pool.filter((x) => x.slot === slot);
+    const found = d.searchIndex.search(terms, { mode });
+    if (!found.ok) return res.status(400).json({ ok: false, error: found.error, details: found.details, acceptedValues: SEARCH_FIELDS });
 
-    const ctx = { level, class: cls, strictWeaponClass };
-    pool = pool.filter((it) => passesFilters(it, { ...ctx, minItemLevel: null }));
+    const minIds = parseIdThresholds(req.query.minIds);
+    const majorIds = parseMajorIds(req.query.majorId);
+    const minPowderSlots = parseOptionalSafeNumber(req.query.minPowderSlots, { min: 0, floor: true });
+    const ctx = { level, class: cls, strictWeaponClass, minIds, majorIds, minPowderSlots, ruleset };
+    const results = found.items.filter((it) => passesFilters(it, { ...ctx, minItemLevel: null }));
+    const highlightOf = new Map(found.items.map((it, i) => [it, found.highlights[i]]));
 
-    let results = [];
-    if (!q) {
-      results = pool.slice(0, 30).map((it) => ({ name: it.name, slot: it.slot, rarity: it.rarity, levelReq: it.levelReq }));
-      return res.json({ ok: true, results });
-    }
-
-    if (mode === "starts") {
-      results = pool.filter((it) => it.lowerName.startsWith(q));
-    } else if (mode === "fuzzy") {
-      results = pool
-        .map((it) => ({ it, s: fuzzyScore(q, it.lowerName) }))
-        .filter((x) => Number.isFinite(x.s))
-        .sort((a, b) => b.s - a.s)
-        .map((x) => x.it);
-    } else {
-      results = pool.filter((it) => it.lowerName.includes(q));
-    }
+    const baseStatSort = BASE_STAT_SORTS[String(req.query.sortBy ?? "")] ?? null;
+    const toResult = (it) => ({ name: it.name, slot: it.slot, rarity: it.rarity, levelReq: it.levelReq, dps: it.dps, baseHealth: it.baseHealth, majorIds: it.majorIds, powderSlots: it.powderSlots, custom: it.custom?.kind ?? null, highlight: highlightOf.get(it) });
+    const byBaseStat = (list) => baseStatSort
+      ? list.slice().sort((a, b) => (baseStatSort(b) - baseStatSort(a)) || a.name.localeCompare(b.name))
+      : list;
 
     res.json({
       ok: true,
-      results: results.slice(0, 40).map((it) => ({ name: it.name, slot: it.slot, rarity: it.rarity, levelReq: it.levelReq })),
+      total: results.length,
+      results: byBaseStat(results).slice(0, q ? 40 : 30).map(toResult),
     });
   });
 
   router.post("/compatible", async (req, res) => {
     const body = req.body ?? {};
 
-    const { level, clsParsed, strictWeaponClass } = parseSharedFilterParams(body);
+    const { level, clsParsed, strictWeaponClass, rulesParsed } = parseSharedFilterParams(body, { ruleset: serverRuleset });
+    if (!rulesParsed.ok) return res.status(400).json(rulesParsed);
+    const ruleset = rulesParsed.value;
     const extraPoints = parseSafeNumber(body.extraPoints, { fallback: 0, min: 0 });
     if (!clsParsed.ok) return res.status(400).json({ ok: false, error: clsParsed.error, acceptedValues: clsParsed.acceptedValues });
     const cls = clsParsed.value;
+    const rollParsed = parseRollMode(body.rollMode);
+    if (!rollParsed.ok) return res.status(400).json({ ok: false, error: rollParsed.error, acceptedValues: rollParsed.acceptedValues });
+    const rollMode = rollParsed.value;
 
     const allowedRarities = Array.isArray(body.rarities) ? body.rarities.map(String) : null;
 
@@ -333,6 +617,9 @@ export async function buildApiRouter({ cacheDir }) {
 
     const mustGiveStatName = String(body.mustGiveStat ?? "");
     const mustGiveStat = mustGiveStatName ? SKI[mustGiveStatName] : null;
+    const minIds = parseIdThresholds(body.minIds);
+    const majorIds = parseMajorIds(body.majorId);
+    const minPowderSlots = parseOptionalSafeNumber(body.minPowderSlots, { min: 0, floor: true });
     const poolCap = parseSafeNumber(body.poolCap, {
       fallback: DEFAULT_POOL_CAP,
       min: 10,
@@ -344,8 +631,10 @@ export async function buildApiRouter({ cacheDir }) {
       max: MAX_RING_POOL_CAP,
     });
     const minImprove = parseOptionalSafeNumber(body.minImprove);
+    const assignedParsed = parseAssignedPoints(body.assigned);
+    if (!assignedParsed.ok) return res.status(400).json(assignedParsed);
 
-    const sortBy = String(body.sortBy ?? "bestRemaining"); // bestRemaining | lowestFinalSpend | lowestLevel | highestSTR... | leastNegative
+    const sortBy = String(body.sortBy ?? "bestRemaining"); // bestRemaining | lowestFinalSpend | lowestLevel | highestSTR... | leastNegative | highestDps | highestBaseHp | highestEleDef | id:<identification>
 
     const debug = parseBool(body.debug, false);
     const debugLimit = parseSafeNumber(body.debugLimit, { fallback: 80, min: 0, max: 200 });
@@ -358,7 +647,7 @@ export async function buildApiRouter({ cacheDir }) {
     const locks = body.locks ?? {}; // per slotKey boolean
     const tomesSelected = Array.isArray(body.tomes) ? body.tomes.map(String) : [];
 
-    const budgetBase = skillBudgetFromLevel(level);
+    const budgetBase = skillBudgetFromLevel(level, ruleset);
     const budget = budgetBase + extraPoints;
 
     const d = await ensureDbData(res);
@@ -369,13 +658,16 @@ export async function buildApiRouter({ cacheDir }) {
       budget, allowedRarities, minItemLevel,
       noMythic, noCraftedBestEffort,
       noNegativeItemSkillBonuses, noNegativeNetSkillBonuses,
-      mustGiveStat, minImprove
+      mustGiveStat, minImprove, minIds, majorIds, minPowderSlots, rollMode, ruleset
     };
 
     const notes = [];
-    notes.push("Weapon skill bonuses are ignored for build validity (weapon requirements still apply).");
+    if (!ruleset.weaponBonusesCountForRequirements) {
+      notes.push("Weapon skill bonuses are ignored for build validity (weapon requirements still apply).");
+    }
 
     // resolve selected items
+    const resolveSelected = selectedResolver(d);
     const selectedItemsByKey = {};
     const selectedItems = [];
     const usedNames = new Set();
@@ -383,8 +675,11 @@ export async function buildApiRouter({ cacheDir }) {
     for (const s of GEAR_SLOT_KEYS) {
       const name = String(selected[s.key] ?? "").trim();
       if (!name) continue;
-      const it = d.byName.get(name);
-      if (!it) continue;
+      const it = resolveSelected(name);
+      if (!it) {
+        if (ownedRef(name) != null) notes.push(`Owned item ${name} in ${s.key} was not found and is ignored.`);
+        continue;
+      }
       selectedItemsByKey[s.key] = it;
       selectedItems.push(it);
       usedNames.add(it.name);
@@ -392,19 +687,14 @@ export async function buildApiRouter({ cacheDir }) {
 
     const resolvedTargetSlotKey = targetSlotKey(targetSlot, requestedTargetSlotKey, selectedItemsByKey, locks);
 
-    const cacheKey = stableKey({ ctx, selected, locks, tomesSelected, targetSlot, targetSlotKey: resolvedTargetSlotKey, sortBy, limit, debug, debugLimit });
+    const cacheKey = stableKey({ ctx, selected, locks, tomesSelected, assigned: assignedParsed.value, targetSlot, targetSlotKey: resolvedTargetSlotKey, sortBy, limit, debug, debugLimit });
     const cached = cache.get(cacheKey);
     if (cached) return res.json(cached);
 
     // tomes
-    const tomeItems = [];
-    for (const tName of tomesSelected) {
-      const it = d.byName.get(tName);
-      if (it && it.slot === "tome" && !usedNames.has(it.name)) {
-        tomeItems.push(it);
-        usedNames.add(it.name);
-      }
-    }
+    const tomesParsed = resolveTomes(body.tomes, d.byName, ruleset);
+    if (!tomesParsed.ok) return res.status(400).json(tomesParsed);
+    const tomeItems = tomesParsed.items;
 
     // Determine fixed items: locked slots + all non-target slots with a selection
     // Target slot can be a slot name (helmet/..../ring/weapon). For rings, targetSlot="ring" means replace either ring.
@@ -445,10 +735,10 @@ export async function buildApiRouter({ cacheDir }) {
       }
     }
 
-    const baseStats = computeBuildStats(baseline, budget, { perSkillCap: 100 });
+    const baseStats = computeBuildStats(baseline, budget, { rollMode, ruleset });
 
-    // set synergy (best effort)
-    const setItems = baseline.filter((it) => String(it.rarity).toLowerCase() === "set");
+    // set synergy: exact when set definitions are loaded, rarity-based best effort otherwise
+    const setItems = baseline.filter((it) => it.set || String(it.rarity).toLowerCase() === "set");
     const setGroups = {};
     for (const it of setItems) {
       const key = it.setName || "(unknown set name)";
@@ -500,22 +790,25 @@ export async function buildApiRouter({ cacheDir }) {
       if (currentSlotItem && !slotBaseline.includes(currentSlotItem)) {
         slotBaseline.push(currentSlotItem);
       }
-      const slotBaseStats = computeBuildStats(slotBaseline, budget, { perSkillCap: 100 });
+      const slotBaseStats = computeBuildStats(slotBaseline, budget, { rollMode, ruleset });
 
       const pool = (d.bySlot.get(slot) ?? []).filter((it) => {
-        if (usedNames.has(it.name)) return false;
+        if (usedNames.has(it.name) && !(slot === "ring" && ruleset.allowDuplicateRings)) return false;
         return passesFilters(it, ctx);
       });
 
       const compatible = [];
       const reasonCounts = {};
       const excludedSamples = [];
+      const statsWith = buildStatsScanner(slotBase, budget, { rollMode, ruleset });
+      // live swap basis: the player's points, else what the current build's equip order assigns
+      const swapAssigned = assignedParsed.value
+        ?? slotBaseStats.equipOrder?.assigned
+        ?? minAllocation(slotBaseline, ruleset.perSkillCap, rollMode, ruleset);
 
       for (const cand of pool) {
-        const test = slotBase.concat([cand]);
-
         // net negative constraint
-        const st = computeBuildStats(test, budget, { perSkillCap: 100 });
+        const st = statsWith(cand);
 
         let fail = null;
         if (noNegativeNetSkillBonuses && st.netBonus.some((v) => v < 0)) fail = "excluded negative net bonuses";
@@ -541,11 +834,22 @@ export async function buildApiRouter({ cacheDir }) {
           rarity: cand.rarity,
           levelReq: cand.levelReq,
           req: cand.reqArr,
-          bonus: cand.bonusArr, // display
+          bonus: bonusFor(cand, rollMode), // display, at the requested roll
+          ids: cand.ids ?? {},
+          setName: cand.setName ?? null,
+          custom: cand.custom?.kind ?? null,
+          majorIds: cand.majorIds ?? [],
+          powderSlots: cand.powderSlots ?? 0,
+          setBonus: st.setBonus, // build-wide set skill bonus with this candidate
+          dps: cand.dps ?? 0,
+          attackSpeed: cand.attackSpeed ?? null,
+          baseHealth: cand.baseHealth ?? 0,
+          baseDefArr: cand.baseDefArr ?? [0, 0, 0, 0, 0],
           finalSpend: st.finalSpend,
           remainingAfter: budget - st.finalSpend,
           deltaRemaining,
-          negTradeoff: negSumArr(cand.bonusArr),
+          negTradeoff: negSumArr(bonusFor(cand, rollMode)),
+          liveSwap: liveSwapOut(liveSwap(slotBaseline, currentSlotItem, cand, swapAssigned, { rollMode, ruleset })),
         });
 
       }
@@ -556,6 +860,11 @@ export async function buildApiRouter({ cacheDir }) {
         (b.remainingAfter - a.remainingAfter) ||
         a.name.localeCompare(b.name);
 
+      const idSort = (id) => (a, b) =>
+        ((b.ids[id]?.avg ?? 0) - (a.ids[id]?.avg ?? 0)) ||
+        (b.remainingAfter - a.remainingAfter) ||
+        a.name.localeCompare(b.name);
+
       compatible.sort((a, b) => {
         if (sortBy === "lowestFinalSpend") return a.finalSpend - b.finalSpend || b.remainingAfter - a.remainingAfter;
         if (sortBy === "lowestLevel") return a.levelReq - b.levelReq || b.remainingAfter - a.remainingAfter;
@@ -565,6 +874,11 @@ export async function buildApiRouter({ cacheDir }) {
         if (sortBy === "highestINT") return statSort(2)(a, b);
         if (sortBy === "highestDEF") return statSort(3)(a, b);
         if (sortBy === "highestAGI") return statSort(4)(a, b);
+        if (sortBy.startsWith("id:")) return idSort(sortBy.slice(3))(a, b);
+        if (BASE_STAT_SORTS[sortBy]) {
+          const v = BASE_STAT_SORTS[sortBy];
+          return (v(b) - v(a)) || (b.remainingAfter - a.remainingAfter) || a.name.localeCompare(b.name);
+        }
         // default bestRemaining
         return b.remainingAfter - a.remainingAfter || a.finalSpend - b.finalSpend || a.name.localeCompare(b.name);
       });
@@ -593,21 +907,28 @@ export async function buildApiRouter({ cacheDir }) {
       budgetBase,
       extraPoints,
       budget,
+      rollMode,
       baseline: {
         finalSpend: baseStats.finalSpend,
         remainingSP: baseStats.remainingSP,
         equipOrderOk: baseStats.equipOrderOk,
+        equipOrder: equipOrderOut(baseStats.equipOrder, baseline),
       },
-      allocationPreview: baseStats.remainingSP >= 0 ? baseStats.allocs.map((a) => ({
+      allocationPreview: baseStats.remainingSP >= 0 ? presetEffects(baseline, baseStats.allocs, rollMode).map((a) => ({
         name: a.name,
         used: a.used,
         remaining: budget - a.used,
         alloc: toObj(a.alloc),
+        totals: a.totals,
+        effects: a.effects,
       })) : [],
       setSynergy: {
         count: setItems.length,
         groups: setGroups,
+        sets: setSummary(baseline),
+        skillBonus: toObj(baseStats.setBonus),
       },
+      tomeSlots: tomeUsage(tomeItems, ruleset),
       results,
       debugExcluded,
       notes,
@@ -625,12 +946,16 @@ export async function buildApiRouter({ cacheDir }) {
     const requestedTargetSlotKey = String(body.targetSlotKey ?? "").trim();
     const selected = body.selected ?? {};
     const locks = body.locks ?? {};
-    const tomesSelected = Array.isArray(body.tomes) ? body.tomes.map(String) : [];
 
-    const { level, clsParsed, strictWeaponClass } = parseSharedFilterParams(body);
+    const { level, clsParsed, strictWeaponClass, rulesParsed } = parseSharedFilterParams(body, { ruleset: serverRuleset });
+    if (!rulesParsed.ok) return res.status(400).json(rulesParsed);
+    const ruleset = rulesParsed.value;
     const extraPoints = parseSafeNumber(body.extraPoints, { fallback: 0, min: 0 });
     if (!clsParsed.ok) return res.status(400).json({ ok: false, error: clsParsed.error, acceptedValues: clsParsed.acceptedValues });
     const cls = clsParsed.value;
+    const rollParsed = parseRollMode(body.rollMode);
+    if (!rollParsed.ok) return res.status(400).json({ ok: false, error: rollParsed.error, acceptedValues: rollParsed.acceptedValues });
+    const rollMode = rollParsed.value;
 
     const allowedRarities = Array.isArray(body.rarities) ? body.rarities.map(String) : null;
     const minItemLevel = body.minItemLevel != null
@@ -643,17 +968,21 @@ export async function buildApiRouter({ cacheDir }) {
 
     const mustGiveStatName = String(body.mustGiveStat ?? "");
     const mustGiveStat = mustGiveStatName ? SKI[mustGiveStatName] : null;
+    const minIds = parseIdThresholds(body.minIds);
+    const majorIds = parseMajorIds(body.majorId);
+    const minPowderSlots = parseOptionalSafeNumber(body.minPowderSlots, { min: 0, floor: true });
 
     const minImprove = parseOptionalSafeNumber(body.minImprove);
 
-    const budget = skillBudgetFromLevel(level) + extraPoints;
+    const budget = skillBudgetFromLevel(level, ruleset) + extraPoints;
 
     const d = await ensureDbData(res);
     if (!d) return;
-    const cand = d.byName.get(itemName);
+    const resolveSelected = selectedResolver(d);
+    const cand = resolveSelected(itemName);
     if (!cand) return res.json({ ok: false, error: "Item not found" });
 
-    const ctx = { level, class: cls, strictWeaponClass, budget, allowedRarities, minItemLevel, noMythic, noCraftedBestEffort, noNegativeItemSkillBonuses, noNegativeNetSkillBonuses, mustGiveStat, minImprove };
+    const ctx = { level, class: cls, strictWeaponClass, budget, allowedRarities, minItemLevel, noMythic, noCraftedBestEffort, noNegativeItemSkillBonuses, noNegativeNetSkillBonuses, mustGiveStat, minImprove, minIds, majorIds, minPowderSlots, rollMode, ruleset };
 
     // fixed base set (same logic as /compatible)
     const usedNames = new Set();
@@ -661,20 +990,15 @@ export async function buildApiRouter({ cacheDir }) {
     for (const s of GEAR_SLOT_KEYS) {
       const name = String(selected[s.key] ?? "").trim();
       if (!name) continue;
-      const it = d.byName.get(name);
+      const it = resolveSelected(name);
       if (!it) continue;
       selectedItemsByKey[s.key] = it;
       usedNames.add(it.name);
     }
 
-    const tomeItems = [];
-    for (const tName of tomesSelected) {
-      const it = d.byName.get(tName);
-      if (it && it.slot === "tome" && !usedNames.has(it.name)) {
-        tomeItems.push(it);
-        usedNames.add(it.name);
-      }
-    }
+    const tomesParsed = resolveTomes(body.tomes, d.byName, ruleset);
+    if (!tomesParsed.ok) return res.status(400).json(tomesParsed);
+    const tomeItems = tomesParsed.items;
 
     const resolvedTargetSlotKey = targetSlotKey(targetSlot, requestedTargetSlotKey, selectedItemsByKey, locks);
 
@@ -709,19 +1033,24 @@ export async function buildApiRouter({ cacheDir }) {
       baseline.push(it);
       break;
     }
-    const baselineStats = computeBuildStats(baseline, budget, { perSkillCap: 100 });
+    const baselineStats = computeBuildStats(baseline, budget, { rollMode, ruleset });
 
     const reason = reasonFails(cand, ctx, fixed, [cand], baselineStats.finalSpend);
-    res.json({ ok: true, item: cand.name, passes: reason == null, reason, dataState: d.dataState });
+    res.json({ ok: true, item: cand.name, owned: cand.owned ?? null, passes: reason == null, reason, rollMode, dataState: d.dataState });
   });
 
-  router.post("/solve", async (req, res) => {
-    const body = req.body ?? {};
-    const { level, clsParsed, strictWeaponClass } = parseSharedFilterParams(body);
+  // /solve and /solve/jobs: request body -> solver input, or { ok: false, status, json } to send back
+  async function prepareSolve(body) {
+    const { level, clsParsed, strictWeaponClass, rulesParsed } = parseSharedFilterParams(body, { ruleset: serverRuleset });
+    if (!rulesParsed.ok) return { ok: false, status: 400, json: rulesParsed };
+    const ruleset = rulesParsed.value;
     const extraPoints = parseSafeNumber(body.extraPoints, { fallback: 0, min: 0 });
-    if (!clsParsed.ok) return res.status(400).json({ ok: false, error: clsParsed.error, acceptedValues: clsParsed.acceptedValues });
+    if (!clsParsed.ok) return { ok: false, status: 400, json: { ok: false, error: clsParsed.error, acceptedValues: clsParsed.acceptedValues } };
     const cls = clsParsed.value;
-    const budget = skillBudgetFromLevel(level) + extraPoints;
+    const rollParsed = parseRollMode(body.rollMode);
+    if (!rollParsed.ok) return { ok: false, status: 400, json: { ok: false, error: rollParsed.error, acceptedValues: rollParsed.acceptedValues } };
+    const rollMode = rollParsed.value;
+    const budget = skillBudgetFromLevel(level, ruleset) + extraPoints;
 
     const allowedRarities = Array.isArray(body.rarities) ? body.rarities.map(String) : null;
     const minItemLevel = body.minItemLevel != null
@@ -736,6 +1065,8 @@ export async function buildApiRouter({ cacheDir }) {
 
     const mustGiveStatName = String(body.mustGiveStat ?? "");
     const mustGiveStat = mustGiveStatName ? SKI[mustGiveStatName] : null;
+    const minIds = parseIdThresholds(body.minIds);
+    const requiredMajorIds = parseMajorIds(body.requiredMajorIds);
     const poolCap = parseSafeNumber(body.poolCap, {
       fallback: DEFAULT_POOL_CAP,
       min: 10,
@@ -746,16 +1077,25 @@ export async function buildApiRouter({ cacheDir }) {
       min: 10,
       max: MAX_RING_POOL_CAP,
     });
+    // anytime solving: with a time limit, that (not the default node budget) ends the search
+    const timeLimitMs = parseOptionalSafeNumber(body.timeLimitMs, { min: MIN_SOLVE_TIME_LIMIT_MS, max: MAX_SOLVE_TIME_LIMIT_MS, floor: true });
     const maxNodes = parseSafeNumber(body.maxNodes, {
-      fallback: DEFAULT_SOLVE_MAX_NODES,
+      fallback: timeLimitMs != null ? MAX_SOLVE_MAX_NODES : DEFAULT_SOLVE_MAX_NODES,
       min: 1000,
       max: MAX_SOLVE_MAX_NODES,
     });
+    const topK = body.topK != null ? parseSafeNumber(body.topK, { fallback: 1, min: 1, max: MAX_SOLVE_RESULTS }) : null;
+    const diversity = parseSafeNumber(body.diversity, { fallback: 0, min: 0, max: GEAR_SLOT_KEYS.length });
 
-    const d = await ensureDbData(res);
-    if (!d) return;
+    let d;
+    try {
+      d = await db.load();
+    } catch (e) {
+      return { ok: false, status: 503, json: dataUnavailableJson(e) };
+    }
 
     // lockedBySlot uses actual item objects
+    const resolveSelected = selectedResolver(d);
     const lockedBySlot = {};
     const selected = body.selected ?? {};
     const locks = body.locks ?? {};
@@ -763,7 +1103,7 @@ export async function buildApiRouter({ cacheDir }) {
       if (!locks[s.key]) continue;
       const name = String(selected[s.key] ?? "").trim();
       if (!name) continue;
-      const it = d.byName.get(name);
+      const it = resolveSelected(name);
       if (it) lockedBySlot[s.key] = it;
     }
     // map keys to slot-names solver expects
@@ -779,49 +1119,144 @@ export async function buildApiRouter({ cacheDir }) {
       weapon: lockedBySlot.weapon ?? null,
     };
 
-    const tomesSelected = Array.isArray(body.tomes) ? body.tomes.map(String) : [];
-    const tomes = [];
-    for (const tName of tomesSelected) {
-      const it = d.byName.get(tName);
-      if (it && it.slot === "tome") tomes.push(it);
-    }
+    // every owned copy is a candidate for its slot, at its exact rolls
+    const ownedItems = owned.list().flatMap((o) => {
+      const base = d.byName.get(o.itemName);
+      return base ? [instanceItem(base, o)] : [];
+    });
 
-    const solveResult = solveBuild(d, {
-      level, class: cls, strictWeaponClass,
+    const tomesParsed = resolveTomes(body.tomes, d.byName, ruleset);
+    if (!tomesParsed.ok) return { ok: false, status: 400, json: tomesParsed };
+    const tomes = tomesParsed.items;
+    const pickTomes = parseBool(body.pickTomes, false);
+    const objectiveParsed = parseObjective(body, d.idNames);
+    if (!objectiveParsed.ok) return { ok: false, status: 400, json: objectiveParsed };
+    const paretoParsed = parseParetoAxis(body.pareto, objectiveParsed.value, d.idNames);
+    if (!paretoParsed.ok) return { ok: false, status: 400, json: paretoParsed };
+
+    const ctx = {
+      level, class: cls, strictWeaponClass, ruleset,
       budget,
       allowedRarities, minItemLevel,
       noMythic, noCraftedBestEffort,
       noNegativeItemSkillBonuses, noNegativeNetSkillBonuses,
       mustGiveStat,
+      minIds,
+      requiredMajorIds,
+      rollMode,
       lockedBySlot: locked,
+      ownedItems,
       tomes,
+      pickTomes,
+      objective: objectiveParsed.value,
+      topK,
+      pareto: paretoParsed.value,
+      diversity,
       poolCap,
       ringPoolCap,
       maxNodes,
-    });
+      timeLimitMs,
+    };
+    return { ok: true, d, ctx, rollMode, ruleset, budget, maxNodes, timeLimitMs, topK, pareto: paretoParsed.value };
+  }
 
-    const { best, truncated, nodesVisited } = solveResult;
+  // solveBuild() result -> /solve response
+  function solveJson(solveResult, { d, rollMode, ruleset, budget, maxNodes, timeLimitMs, topK, pareto }) {
+    const { best, results, truncated, nodesVisited, unavailableMajorIds } = solveResult;
+    // with a time limit: how long it took, whether time ran out and when the best build improved
+    const meta = timeLimitMs != null
+      ? { nodesVisited, maxNodes, timeLimitMs, elapsedMs: solveResult.elapsedMs, timedOut: solveResult.timedOut, timeline: solveResult.timeline }
+      : { nodesVisited, maxNodes };
 
     if (!best) {
-      return res.json({
+      return {
         ok: true,
         found: false,
+        rollMode,
         dataState: d.dataState,
         truncated,
-        meta: { nodesVisited, maxNodes },
-      });
+        meta,
+        ...(unavailableMajorIds.length ? { unavailableMajorIds } : {}),
+      };
     }
 
-    res.json({
+    const buildOut = (r) => ({
+      score: r.score,
+      ...(r.axis ? { axis: r.axis } : {}),
+      items: r.items.map((it) => ({
+        name: it.name, slot: it.slot, rarity: it.rarity, levelReq: it.levelReq, majorIds: it.majorIds ?? [],
+        ...(it.owned ? { owned: it.owned } : {}),
+      })),
+      pickedTomes: r.pickedTomes.map((it) => it.name),
+      tomeSlots: tomeUsage(r.items.filter((it) => it.slot === "tome"), ruleset),
+      equipOrder: equipOrderOut(computeBuildStats(r.items, budget, { rollMode, ruleset }).equipOrder, r.items),
+    });
+    return {
       ok: true,
       found: true,
+      rollMode,
       dataState: d.dataState,
       truncated,
-      meta: { nodesVisited, maxNodes },
-      score: best.score,
-      items: best.items.map((it) => ({ name: it.name, slot: it.slot, rarity: it.rarity, levelReq: it.levelReq })),
+      meta,
+      ...buildOut(best),
+      // topK best builds, or the Pareto front (highest remaining SP first)
+      ...(topK != null || pareto ? { pareto, results: results.map(buildOut) } : {}),
+    };
+  }
+
+  router.post("/solve", async (req, res) => {
+    const prep = await prepareSolve(req.body ?? {});
+    if (!prep.ok) return res.status(prep.status).json(prep.json);
+    res.json(solveJson(solveBuild(prep.d, prep.ctx), prep));
+  });
+
+  // background solves: same body and result as /solve, run in a worker thread
+  const solveJobs = new SolveJobs();
+  const unknownJob = (id) => ({ ok: false, error: "Unknown solve job", details: id });
+  const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  function sendEnd(res, job) {
+    if (job.status === "done") sendEvent(res, "done", job.result);
+    else if (job.status === "cancelled") sendEvent(res, "cancelled", { ok: false, error: "Solve cancelled", jobId: job.id });
+    else sendEvent(res, "failed", { ok: false, error: "Solve failed", details: job.error });
+    res.end();
+  }
+
+  router.post("/solve/jobs", async (req, res) => {
+    const prep = await prepareSolve(req.body ?? {});
+    if (!prep.ok) return res.status(prep.status).json(prep.json);
+
+    const job = solveJobs.start({ db: { bySlot: prep.d.bySlot }, ctx: prep.ctx }, (result) => solveJson(result, prep));
+    if (!job) {
+      return res.status(429).json({ ok: false, error: "Too many solve jobs", details: `at most ${solveJobs.maxRunning} run at once` });
+    }
+    res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+  });
+
+  // Server-Sent Events: "progress" ({ nodesVisited, maxNodes, best }), then one of
+  // "done" (the /solve response), "cancelled" or "failed"
+  router.get("/solve/jobs/:id/events", (req, res) => {
+    const job = solveJobs.get(req.params.id);
+    if (!job) return res.status(404).json(unknownJob(req.params.id));
+
+    res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" });
+    if (job.progress) sendEvent(res, "progress", job.progress);
+    if (job.status !== "running") return sendEnd(res, job);
+
+    const onProgress = (progress) => sendEvent(res, "progress", progress);
+    const onEnd = () => sendEnd(res, job);
+    job.events.on("progress", onProgress);
+    job.events.once("end", onEnd);
+    req.on("close", () => {
+      job.events.off("progress", onProgress);
+      job.events.off("end", onEnd);
     });
   });
 
+  router.delete("/solve/jobs/:id", (req, res) => {
+    const job = solveJobs.cancel(req.params.id);
+    if (!job) return res.status(404).json(unknownJob(req.params.id));
+    res.json({ ok: true, jobId: job.id, status: job.status });
+  });
+
   return router;
 }
@@ -1,19 +1,59 @@
+import { DEFAULT_RULESET } from "./ruleset.js";
+
 export const SKILLS = ["strength", "dexterity", "intelligence", "defence", "agility"];
 export const SKI = { strength: 0, dexterity: 1, intelligence: 2, defence: 3, agility: 4 };
 
+export const ROLL_MODES = ["min", "avg", "max"];
+export const DEFAULT_ROLL_MODE = "avg";
+
 export function emptyArr() { return [0, 0, 0, 0, 0]; }
 export function addArr(a, b) { return a.map((v, i) => v + b[i]); }
 export function maxArr(a, b) { return a.map((v, i) => Math.max(v, b[i])); }
 export function negSumArr(a) { return a.reduce((s, v) => s + Math.max(0, -v), 0); }
 export function allNonNeg(a) { return a.every((v) => v >= 0); }
 
-export function skillBudgetFromLevel(level) {
+/** Display skill bonus at a roll (min = worst roll, also for negative IDs). Falls back to the average arrays. */
+export function bonusFor(it, rollMode = DEFAULT_ROLL_MODE) {
+  return it.bonusRolls?.[rollMode] ?? it.bonusArr;
+}
+
+/** Effective (build-math) skill bonus at a roll; weapons stay zeroed unless the ruleset counts them. */
+export function effBonus(it, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  if (ruleset.weaponBonusesCountForRequirements) return bonusFor(it, rollMode);
+  return it.bonusEffRolls?.[rollMode] ?? it.bonusEffArr;
+}
+
+/** Highest set tier reached with `pieces` members worn (tiers hold the full bonus at that count). */
+export function setTierFor(set, pieces) {
+  let tier = null;
+  for (const t of set?.tiers ?? []) {
+    if (t.count <= pieces) tier = t;
+  }
+  return tier;
+}
+
+function setTierArr(set, pieces) {
+  return setTierFor(set, pieces)?.bonusArr ?? emptyArr();
+}
+
+/** Skill points granted by set bonuses for the set members among `items` (it.set from sets.js). */
+export function setBonusArr(items) {
+  const counts = new Map();
+  for (const it of items) {
+    if (it.set) counts.set(it.set, (counts.get(it.set) ?? 0) + 1);
+  }
+  let sum = emptyArr();
+  for (const [set, pieces] of counts) sum = addArr(sum, setTierArr(set, pieces));
+  return sum;
+}
+
+export function skillBudgetFromLevel(level, ruleset = DEFAULT_RULESET) {
   const L = Math.max(1, Math.floor(level || 1));
-  const capped = Math.min(L, 101);
-  return 2 * (capped - 1); // capped at 200 at 101
+  const capped = Math.min(L, ruleset.skillPointLevelCap);
+  return ruleset.pointsPerLevel * (capped - 1); // 200 at 101 with the default rules
 }
 
-export function canEquipItemNow(reqArr, curBonusArr, budget, perSkillCap = 100) {
+export function canEquipItemNow(reqArr, curBonusArr, budget, perSkillCap = DEFAULT_RULESET.perSkillCap) {
   let neededTotal = 0;
   for (let i = 0; i < 5; i++) {
     const need = Math.max(0, reqArr[i] - curBonusArr[i]);
@@ -24,55 +64,250 @@ export function canEquipItemNow(reqArr, curBonusArr, budget, perSkillCap = 100)
   return neededTotal <= budget;
 }
 
+function popcount(x) {
+  let c = 0;
+  while (x) { x &= x - 1; c++; }
+  return c;
+}
+
 /**
- * Exact subset DP (n <= ~11 is still fine). Uses "effective bonuses":
+ * Exact subset DP over equip orders (n <= ~16 is still fine). Uses "effective bonuses":
  * weapon skill bonuses should be zeroed in db normalization.
+ * Set bonuses count at the tier reached by the members equipped so far.
+ *
+ * Assigned points are never taken back, so what an order costs is the running max of what each step needs,
+ * topped up at the end to what every item needs once all are worn. Each mask keeps the assigned vectors
+ * (within budget) of the orders reaching it, except those another vector is no higher than in every skill.
+ *
+ * Items without requirements, set or negative bonuses (most tomes) never hurt by going first,
+ * so they become a flat starting bonus (`front`) instead of DP bits.
+ * bonusSum[mask * 5 + k] is flat; states[mask] lists { assigned, item (equipped last), prev } (null if unreached).
+ * `extra` reserves bits for withItem(), which adds one candidate on top of the solved base and only
+ * fills the masks that contain it.
  */
-export function canEquipAllInSomeOrder(items, budget, perSkillCap = 100) {
-  const n = items.length;
-  if (n === 0) return true;
+class SubsetDp {
+  constructor(items, budget, perSkillCap, rollMode, ruleset, extra = 0) {
+    this.budget = budget;
+    this.perSkillCap = perSkillCap;
+    this.rollMode = rollMode;
+    this.ruleset = ruleset;
+
+    this.all = items;
+    this.front = []; // positions in `items`
+    this.items = [];
+    this.positions = [];
+    const offset = emptyArr();
+    items.forEach((it, pos) => {
+      const b = effBonus(it, rollMode, ruleset);
+      if (!it.set && it.reqArr.every((r) => r <= 0) && b.every((v) => v >= 0)) {
+        this.front.push(pos);
+        for (let k = 0; k < 5; k++) offset[k] += b[k];
+      } else {
+        this.items.push(it);
+        this.positions.push(pos);
+      }
+    });
+
+    const n = this.items.length;
+    const slots = n + extra;
+    this.n = n;
+    this.req = new Float64Array(slots * 5);
+    this.bonus = new Float64Array(slots * 5);
+    this.items.forEach((it, i) => this.#setItem(i, it));
+
+    // per item: set delta by pieces worn including it -> Float64Array(5), and the set's member bits
+    this.setDeltas = this.items.map((it) => setDeltaTable(it.set, n + extra));
+    this.setMasks = new Int32Array(slots);
+    for (let i = 0; i < n; i++) {
+      if (!this.items[i].set) continue;
+      for (let j = 0; j < n; j++) if (this.items[j].set === this.items[i].set) this.setMasks[i] |= (1 << j);
+    }
 
-  const reqs = items.map((it) => it.reqArr);
-  const bonuses = items.map((it) => it.bonusEffArr);
+    const size = 1 << slots;
+    this.bonusSum = new Float64Array(size * 5);
+    this.states = new Array(size).fill(null);
+    this.bonusSum.set(offset, 0);
+    this.states[0] = [{ assigned: emptyArr(), item: -1, prev: null }];
 
-  const size = 1 << n;
-  const feasible = new Uint8Array(size);
-  feasible[0] = 1;
+    const baseSize = 1 << n;
+    for (let mask = 1; mask < baseSize; mask++) {
+      const i = 31 - Math.clz32(mask & -mask);
+      this.#extend(mask ^ (1 << i), mask, i, popcount(mask & this.setMasks[i]));
+    }
+    for (let mask = 0; mask < baseSize; mask++) this.#expand(mask, 0, n);
+    this.finalNeed = finalNeed(items, perSkillCap, rollMode, ruleset);
+  }
 
-  // precompute bonus sum for each mask
-  const bonusSum = new Array(size);
-  bonusSum[0] = emptyArr();
-  for (let mask = 1; mask < size; mask++) {
-    const lsb = mask & -mask;
-    const i = Math.log2(lsb) | 0;
-    const prev = mask ^ lsb;
-    bonusSum[mask] = addArr(bonusSum[prev], bonuses[i]);
+  #setItem(i, it) {
+    this.req.set(it.reqArr, i * 5);
+    this.bonus.set(effBonus(it, this.rollMode, this.ruleset), i * 5);
   }
 
-  for (let mask = 0; mask < size; mask++) {
-    if (!feasible[mask]) continue;
-    const curBonus = bonusSum[mask];
+  // bonusSum[to] = bonusSum[from] + item i, with i's set now at `pieces` worn
+  #extend(from, to, i, pieces) {
+    const { bonusSum, bonus } = this;
+    const delta = this.setDeltas[i]?.[pieces];
+    for (let k = 0; k < 5; k++) {
+      bonusSum[to * 5 + k] = bonusSum[from * 5 + k] + bonus[i * 5 + k] + (delta ? delta[k] : 0);
+    }
+  }
 
-    for (let i = 0; i < n; i++) {
-      if (mask & (1 << i)) continue;
-      if (canEquipItemNow(reqs[i], curBonus, budget, perSkillCap)) {
-        feasible[mask | (1 << i)] = 1;
+  // equip item i on top of `state` (at `mask`): the assigned vector after it, or null over the cap or budget
+  #equip(mask, state, i) {
+    const { bonusSum, req } = this;
+    const next = state.assigned.slice();
+    let total = 0;
+    for (let k = 0; k < 5; k++) {
+      const need = req[i * 5 + k] - bonusSum[mask * 5 + k];
+      if (need > this.perSkillCap) return null;
+      if (need > next[k]) next[k] = need;
+      total += next[k];
+    }
+    return total <= this.budget ? next : null;
+  }
+
+  // keep `assigned` at `mask` unless a kept vector is no higher in every skill; drop the ones it beats
+  #add(mask, assigned, item, prev) {
+    const list = this.states[mask] ?? [];
+    if (list.some((s) => s.assigned.every((v, k) => v <= assigned[k]))) return;
+    this.states[mask] = list.filter((s) => !assigned.every((v, k) => v <= s.assigned[k]));
+    this.states[mask].push({ assigned, item, prev });
+  }
+
+  // extend every order reaching `mask` by one of items [from, to)
+  #expand(mask, from, to) {
+    for (const state of this.states[mask] ?? []) {
+      for (let i = from; i < to; i++) {
+        const bit = 1 << i;
+        if (mask & bit) continue;
+        const next = this.#equip(mask, state, i);
+        if (next) this.#add(mask | bit, next, i, state);
+      }
+    }
+  }
+
+  // cheapest full order once topped up to `need`, or null when none fits the budget
+  #best(fullMask, need) {
+    if (!need) return null;
+    let best = null;
+    let bestTotal = Infinity;
+    for (const state of this.states[fullMask] ?? []) {
+      const total = state.assigned.reduce((sum, v, k) => sum + Math.max(v, need[k]), 0);
+      if (total < bestTotal) {
+        best = state;
+        bestTotal = total;
       }
     }
+    return bestTotal <= this.budget ? best : null;
   }
 
-  return feasible[size - 1] === 1;
+  fullMask() {
+    return (1 << this.n) - 1;
+  }
+
+  allFeasible() {
+    return this.#best(this.fullMask(), this.finalNeed) != null;
+  }
+
+  /** Can base items + `cand` be equipped in some order? Reuses the base masks; needs extra >= 1. */
+  withItem(cand) {
+    const n = this.n;
+    const c = n;
+    const bit = 1 << c;
+    const baseSize = bit;
+
+    this.#setItem(c, cand);
+    let candSetMask = 0;
+    if (cand.set) {
+      for (let j = 0; j < n; j++) if (this.items[j].set === cand.set) candSetMask |= (1 << j);
+    }
+    this.setDeltas[c] = setDeltaTable(cand.set, n + 1);
+
+    // masks with the candidate: bonus = same mask without it + candidate (+ its set step)
+    for (let mask = 0; mask < baseSize; mask++) {
+      this.#extend(mask, mask | bit, c, popcount(mask & candSetMask) + 1);
+    }
+    this.states.fill(null, baseSize, baseSize * 2);
+    for (let mask = 0; mask < baseSize; mask++) this.#expand(mask, c, c + 1);
+    for (let mask = baseSize; mask < baseSize * 2; mask++) this.#expand(mask, 0, n);
+
+    return this.#best(baseSize * 2 - 1, finalNeed(this.all.concat([cand]), this.perSkillCap, this.rollMode, this.ruleset)) != null;
+  }
+
+  /** Positions in the constructor's `items` in the cheapest working order (front items first), or null. */
+  order() {
+    const best = this.#best(this.fullMask(), this.finalNeed);
+    if (!best) return null;
+    const order = [];
+    for (let s = best; s.prev; s = s.prev) order.push(this.positions[s.item]);
+    return this.front.concat(order.reverse());
+  }
+}
+
+// what each skill needs assigned once every item is worn, or null when a skill is past the cap
+function finalNeed(items, perSkillCap, rollMode, ruleset) {
+  let totalBonus = setBonusArr(items);
+  let maxReq = emptyArr();
+  for (const it of items) {
+    totalBonus = addArr(totalBonus, effBonus(it, rollMode, ruleset));
+    maxReq = maxArr(maxReq, it.reqArr);
+  }
+  const need = maxReq.map((r, k) => Math.max(0, r - totalBonus[k]));
+  return need.every((v) => v <= perSkillCap) ? need : null;
+}
+
+// pieces worn -> skill bonus gained by the piece that brings the set to that count (null when no set)
+function setDeltaTable(set, maxPieces) {
+  if (!set) return null;
+  const table = [null];
+  for (let pieces = 1; pieces <= maxPieces; pieces++) {
+    const withI = setTierArr(set, pieces);
+    const withoutI = setTierArr(set, pieces - 1);
+    table.push(Float64Array.from(withI, (v, k) => v - withoutI[k]));
+  }
+  return table;
+}
+
+export function canEquipAllInSomeOrder(items, budget, perSkillCap = DEFAULT_RULESET.perSkillCap, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  if (items.length === 0) return true;
+  return new SubsetDp(items, budget, perSkillCap, rollMode, ruleset).allFeasible();
+}
+
+/**
+ * A working equip order, or null when there is none.
+ * steps[k]: { index, name, need, add, assigned } where `need` is the minimum assigned per skill to equip
+ * that item with the earlier ones worn, `add` the points to put in right before it, and `assigned` the running
+ * total (points are never taken back). `assigned` at the end also covers what every item needs once all are worn.
+ */
+export function equipOrder(items, budget, perSkillCap = DEFAULT_RULESET.perSkillCap, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  const ordered = new SubsetDp(items, budget, perSkillCap, rollMode, ruleset).order();
+  if (!ordered) return null;
+
+  const steps = [];
+  const worn = [];
+  let assigned = emptyArr();
+  for (const pos of ordered) {
+    const it = items[pos];
+    const cur = worn.reduce((acc, w) => addArr(acc, effBonus(w, rollMode, ruleset)), setBonusArr(worn));
+    const need = it.reqArr.map((r, k) => Math.max(0, r - cur[k]));
+    const next = maxArr(assigned, need);
+    steps.push({ index: pos, name: it.name, need, add: next.map((v, k) => v - assigned[k]), assigned: next });
+    assigned = next;
+    worn.push(it);
+  }
+
+  return { steps, assigned: maxArr(assigned, minAllocation(items, perSkillCap, rollMode, ruleset)) };
 }
 
 /**
  * Minimum final SP spend:
- * used = Σ max(0, maxReq(skill) - totalBonusEff(skill))
+ * used = Σ max(0, maxReq(skill) - totalBonusEff(skill)), with totalBonusEff including set bonuses
  */
-export function minFinalSpend(items) {
-  let totalBonus = emptyArr();
+export function minFinalSpend(items, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  let totalBonus = setBonusArr(items);
   let maxReq = emptyArr();
   for (const it of items) {
-    totalBonus = addArr(totalBonus, it.bonusEffArr);
+    totalBonus = addArr(totalBonus, effBonus(it, rollMode, ruleset));
     maxReq = maxArr(maxReq, it.reqArr);
   }
   let sum = 0;
@@ -84,11 +319,11 @@ export function minFinalSpend(items) {
  * Allocation vector that *achieves* minFinalSpend:
  * alloc = max(0, maxReq - totalBonusEff)
  */
-export function minAllocation(items, perSkillCap = 100) {
-  let totalBonus = emptyArr();
+export function minAllocation(items, perSkillCap = DEFAULT_RULESET.perSkillCap, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  let totalBonus = setBonusArr(items);
   let maxReq = emptyArr();
   for (const it of items) {
-    totalBonus = addArr(totalBonus, it.bonusEffArr);
+    totalBonus = addArr(totalBonus, effBonus(it, rollMode, ruleset));
     maxReq = maxArr(maxReq, it.reqArr);
   }
   const alloc = maxReq.map((r, i) => Math.max(0, r - totalBonus[i]));
@@ -97,8 +332,8 @@ export function minAllocation(items, perSkillCap = 100) {
   return alloc;
 }
 
-export function allocPresets(items, budget, perSkillCap = 100) {
-  const base = minAllocation(items, perSkillCap);
+export function allocPresets(items, budget, perSkillCap = DEFAULT_RULESET.perSkillCap, rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET) {
+  const base = minAllocation(items, perSkillCap, rollMode, ruleset);
   const used = base.reduce((s, v) => s + v, 0);
   const remaining = Math.max(0, budget - used);
 
@@ -165,25 +400,58 @@ export function toObj(arr) {
 }
 
 export function computeBuildStats(items, budget, opts) {
-  const perSkillCap = opts?.perSkillCap ?? 100;
+  const ruleset = opts?.ruleset ?? DEFAULT_RULESET;
+  const perSkillCap = opts?.perSkillCap ?? ruleset.perSkillCap;
+  const rollMode = opts?.rollMode ?? DEFAULT_ROLL_MODE;
 
-  const finalSpend = minFinalSpend(items);
+  const finalSpend = minFinalSpend(items, rollMode, ruleset);
   const remainingSP = budget - finalSpend;
 
-  const allocs = remainingSP >= 0 ? allocPresets(items, budget, perSkillCap) : [];
+  const allocs = remainingSP >= 0 ? allocPresets(items, budget, perSkillCap, rollMode, ruleset) : [];
 
-  const equipOrderOk = remainingSP >= 0
-    ? canEquipAllInSomeOrder(items, budget, perSkillCap)
-    : false;
+  const order = remainingSP >= 0 ? equipOrder(items, budget, perSkillCap, rollMode, ruleset) : null;
+  const equipOrderOk = order != null;
 
-  // net effective bonuses (for “no negative net” option)
-  const netBonus = items.reduce((acc, it) => addArr(acc, it.bonusEffArr), emptyArr());
+  // net effective bonuses (for “no negative net” option), set bonuses included
+  const setBonus = setBonusArr(items);
+  const netBonus = items.reduce((acc, it) => addArr(acc, effBonus(it, rollMode, ruleset)), setBonus);
 
   return {
     finalSpend,
     remainingSP,
     equipOrderOk,
+    equipOrder: order, // { steps, assigned } when equipOrderOk
     allocs,
     netBonus,
+    setBonus,
   };
-}
\ No newline at end of file
+}
+/**
+ * computeBuildStats(baseItems + [cand]) for a scan over many candidates: the base's equip-order DP is
+ * solved once and each candidate only adds the masks that contain it.
+ * Returns cand -> { finalSpend, remainingSP, equipOrderOk, netBonus, setBonus } (no allocs / equipOrder).
+ */
+export function buildStatsScanner(baseItems, budget, opts) {
+  const ruleset = opts?.ruleset ?? DEFAULT_RULESET;
+  const perSkillCap = opts?.perSkillCap ?? ruleset.perSkillCap;
+  const rollMode = opts?.rollMode ?? DEFAULT_ROLL_MODE;
+
+  const dp = new SubsetDp(baseItems, budget, perSkillCap, rollMode, ruleset, 1);
+  let baseMaxReq = emptyArr();
+  let baseBonus = emptyArr();
+  for (const it of baseItems) {
+    baseMaxReq = maxArr(baseMaxReq, it.reqArr);
+    baseBonus = addArr(baseBonus, effBonus(it, rollMode, ruleset));
+  }
+
+  return (cand) => {
+    const setBonus = setBonusArr(cand.set ? baseItems.concat([cand]) : baseItems);
+    const netBonus = addArr(addArr(baseBonus, effBonus(cand, rollMode, ruleset)), setBonus);
+    const maxReq = maxArr(baseMaxReq, cand.reqArr);
+    let finalSpend = 0;
+    for (let k = 0; k < 5; k++) finalSpend += Math.max(0, maxReq[k] - netBonus[k]);
+    const remainingSP = budget - finalSpend;
+    const equipOrderOk = remainingSP >= 0 && dp.withItem(cand);
+    return { finalSpend, remainingSP, equipOrderOk, netBonus, setBonus };
+  };
+}
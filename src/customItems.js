@@ -0,0 +1,136 @@
+import { SKILLS } from "./compat.js";
+import { JsonListStore } from "./jsonListStore.js";
+import { DEFAULT_RULESET } from "./ruleset.js";
+
+export const CUSTOM_ITEM_SLOTS = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon", "tome"];
+export const CUSTOM_ITEM_KINDS = ["crafted", "custom"];
+const SKILL_ID_KEYS = ["rawStrength", "rawDexterity", "rawIntelligence", "rawDefence", "rawAgility"];
+const MAX_NAME_LENGTH = 80;
+
+function invalid(details) {
+  return { ok: false, error: "Invalid custom item", details };
+}
+
+function intIn(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+function skillObj(input, field, min, max) {
+  const out = {};
+  for (const s of SKILLS) {
+    const v = input?.[s] ?? 0;
+    const n = intIn(v, min, max);
+    if (n == null) return { error: `${field}.${s} must be an integer from ${min} to ${max}` };
+    out[s] = n;
+  }
+  return { value: out };
+}
+
+function identificationsObj(input) {
+  const out = {};
+  for (const [id, v] of Object.entries(input ?? {})) {
+    if (SKILL_ID_KEYS.includes(id)) return { error: `identifications.${id}: use skillBonuses for skill points` };
+    if (typeof v === "number" && Number.isFinite(v)) {
+      out[id] = v;
+    } else if (v && typeof v === "object" && Number.isFinite(Number(v.min)) && Number.isFinite(Number(v.max))) {
+      out[id] = { min: Number(v.min), max: Number(v.max) };
+    } else {
+      return { error: `identifications.${id} must be a number or { min, max }` };
+    }
+  }
+  return { value: out };
+}
+
+/**
+ * Validates a create/update body and returns the stored shape (without id/timestamps).
+ * Classes and weapon types are those of ruleset.classWeapons.
+ * { ok: true, value } | { ok: false, error, details }
+ */
+export function validateCustomItem(input, ruleset = DEFAULT_RULESET) {
+  if (!input || typeof input !== "object") return invalid("body must be an object");
+  const classes = Object.keys(ruleset.classWeapons);
+  const weaponTypes = Array.from(new Set(Object.values(ruleset.classWeapons)));
+
+  const name = String(input.name ?? "").trim();
+  if (!name) return invalid("name is required");
+  if (name.length > MAX_NAME_LENGTH) return invalid(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  const slot = String(input.slot ?? "").trim().toLowerCase();
+  if (!CUSTOM_ITEM_SLOTS.includes(slot)) return invalid(`slot must be one of: ${CUSTOM_ITEM_SLOTS.join(", ")}`);
+
+  const kind = String(input.kind ?? "crafted").trim().toLowerCase();
+  if (!CUSTOM_ITEM_KINDS.includes(kind)) return invalid(`kind must be one of: ${CUSTOM_ITEM_KINDS.join(", ")}`);
+
+  let weaponType = null;
+  if (slot === "weapon") {
+    weaponType = String(input.weaponType ?? "").trim().toLowerCase();
+    if (!weaponTypes.includes(weaponType)) return invalid(`weaponType must be one of: ${weaponTypes.join(", ")}`);
+  }
+
+  let tomeType = null;
+  if (slot === "tome") {
+    tomeType = String(input.tomeType ?? "armour_tome").trim().toLowerCase();
+    if (!/^[a-z_]+$/.test(tomeType)) return invalid("tomeType must be a tome type such as armour_tome");
+  }
+
+  const level = intIn(input.level ?? 1, 1, 110);
+  if (level == null) return invalid("level must be an integer from 1 to 110");
+
+  const requirements = skillObj(input.requirements, "requirements", 0, 150);
+  if (requirements.error) return invalid(requirements.error);
+
+  const classRaw = input.requirements?.class ?? null;
+  const classReq = classRaw ? String(classRaw).trim().toLowerCase() : null;
+  if (classReq && !classes.includes(classReq)) return invalid(`requirements.class must be one of: ${classes.join(", ")}`);
+
+  const skillBonuses = skillObj(input.skillBonuses, "skillBonuses", -150, 150);
+  if (skillBonuses.error) return invalid(skillBonuses.error);
+
+  const identifications = identificationsObj(input.identifications);
+  if (identifications.error) return invalid(identifications.error);
+
+  return {
+    ok: true,
+    value: {
+      name,
+      kind,
+      slot,
+      weaponType,
+      tomeType,
+      rarity: String(input.rarity ?? kind).trim() || kind,
+      level,
+      requirements: { ...requirements.value, class: classReq },
+      skillBonuses: skillBonuses.value,
+      identifications: identifications.value,
+    },
+  };
+}
+
+/** Stored custom item -> the raw Wynncraft payload shape, so WynnDb normalizes it like any other item. */
+export function rawFromCustomItem(c) {
+  const raw = {
+    internalName: c.name,
+    rarity: c.rarity,
+    identifier: c.kind !== "crafted",
+    requirements: { level: c.level, ...c.requirements },
+    identifications: { ...c.identifications },
+  };
+  delete raw.requirements.class;
+  if (c.requirements.class) raw.requirements.classRequirement = c.requirements.class;
+  SKILLS.forEach((s, i) => {
+    if (c.skillBonuses[s]) raw.identifications[SKILL_ID_KEYS[i]] = c.skillBonuses[s];
+  });
+
+  if (c.slot === "weapon") Object.assign(raw, { type: "weapon", weaponType: c.weaponType });
+  else if (c.slot === "tome") Object.assign(raw, { type: "tome", tomeType: c.tomeType ?? "armour_tome" });
+  else if (["ring", "bracelet", "necklace"].includes(c.slot)) Object.assign(raw, { type: "accessory", accessoryType: c.slot });
+  else Object.assign(raw, { type: "armour", armourType: c.slot });
+  return raw;
+}
+
+export class CustomItemStore extends JsonListStore {
+  constructor({ file }) {
+    super({ file, label: "Custom item", uniqueNames: true });
+  }
+}
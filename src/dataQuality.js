@@ -0,0 +1,102 @@
+export const KNOWN_RARITIES = ["common", "unique", "rare", "legendary", "fabled", "mythic", "set"];
+
+const NUMERIC_REQUIREMENT_KEYS = ["level", "strength", "dexterity", "intelligence", "defence", "defense", "agility"];
+const CLASS_REQUIREMENT_KEYS = ["classRequirement", "class_requirement"];
+const KNOWN_REQUIREMENT_KEYS = new Set([...NUMERIC_REQUIREMENT_KEYS, ...CLASS_REQUIREMENT_KEYS, "quest"]);
+const KNOWN_RARITY_SET = new Set(KNOWN_RARITIES);
+const SAMPLE_CAP = 50;
+
+function bump(map, key, by = 1) {
+  map[key] = (map[key] ?? 0) + by;
+}
+
+function pushSample(list, value) {
+  if (list.length < SAMPLE_CAP) list.push(value);
+}
+
+/**
+ * Requirement keys whose values cannot be read as numbers.
+ * Missing keys are fine; `null` or numeric strings are fine.
+ */
+export function unparseableRequirementFields(req) {
+  if (req == null) return [];
+  if (typeof req !== "object" || Array.isArray(req)) return ["requirements"];
+  return NUMERIC_REQUIREMENT_KEYS.filter((k) => req[k] != null && !Number.isFinite(Number(req[k])));
+}
+
+/**
+ * Collects what WynnDb.load() drops or has to guess about, so upstream schema drift
+ * shows up in /api/data/quality instead of as missing search results.
+ */
+export class DataQualityCollector {
+  constructor() {
+    this.totalRaw = 0;
+    this.kept = 0;
+    this.skippedByType = {};
+    this.skippedByTypeSubType = {};
+    this.unparseable = { count: 0, samples: [] };
+    this.unknownRequirementKeys = {};
+    this.classRequirementKeys = {};
+    this.unknownRarities = { count: 0, byRarity: {}, samples: [] };
+    this.heuristicTomes = { count: 0, samples: [] };
+  }
+
+  skip(name, it) {
+    this.totalRaw += 1;
+    const type = String(it?.type ?? "(none)");
+    const subType = String(it?.subType ?? "-");
+    bump(this.skippedByType, type);
+    bump(this.skippedByTypeSubType, `${type}/${subType}`);
+  }
+
+  keep(name, it, { tomeByHeuristic = false } = {}) {
+    this.totalRaw += 1;
+    this.kept += 1;
+
+    const req = it.requirements;
+    const badFields = unparseableRequirementFields(req);
+    if (badFields.length) {
+      this.unparseable.count += 1;
+      pushSample(this.unparseable.samples, { name, fields: badFields });
+    }
+    if (req && typeof req === "object") {
+      for (const key of Object.keys(req)) {
+        if (!KNOWN_REQUIREMENT_KEYS.has(key)) bump(this.unknownRequirementKeys, key);
+      }
+      for (const key of CLASS_REQUIREMENT_KEYS) {
+        if (req[key] != null) bump(this.classRequirementKeys, key);
+      }
+    }
+
+    const rarity = String(it.rarity ?? "unknown");
+    if (!KNOWN_RARITY_SET.has(rarity.toLowerCase())) {
+      this.unknownRarities.count += 1;
+      bump(this.unknownRarities.byRarity, rarity);
+      pushSample(this.unknownRarities.samples, name);
+    }
+
+    if (tomeByHeuristic) {
+      this.heuristicTomes.count += 1;
+      pushSample(this.heuristicTomes.samples, { name, type: it.type ?? null, subType: it.subType ?? null });
+    }
+  }
+
+  report() {
+    const skippedTotal = this.totalRaw - this.kept;
+    return {
+      totalRaw: this.totalRaw,
+      kept: this.kept,
+      skipped: {
+        total: skippedTotal,
+        byType: this.skippedByType,
+        byTypeSubType: this.skippedByTypeSubType,
+      },
+      unparseableRequirements: this.unparseable,
+      unknownRequirementKeys: this.unknownRequirementKeys,
+      classRequirementKeys: this.classRequirementKeys,
+      unknownRarities: this.unknownRarities,
+      heuristicTomes: this.heuristicTomes,
+      sampleCap: SAMPLE_CAP,
+    };
+  }
+}
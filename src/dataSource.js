@@ -0,0 +1,90 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export const DB_URL = "https://api.wynncraft.com/v3/item/database?fullResult=";
+const ITEM_DB_PATH = "/v3/item/database?fullResult=";
+
+export const DATA_SOURCE_KINDS = ["live", "api", "snapshot"];
+
+// validators from the previous response turn this into a conditional request:
+// -> { notModified: true } on 304, else { json, etag, lastModified }
+async function fetchJson(url, { etag = null, lastModified = null } = {}) {
+  const headers = {
+    accept: "application/json",
+    "user-agent": "wynnhelperv3 (local)",
+  };
+  if (etag) headers["if-none-match"] = etag;
+  if (lastModified) headers["if-modified-since"] = lastModified;
+
+  const res = await fetch(url, { headers });
+  if (res.status === 304) return { notModified: true };
+  if (!res.ok) throw new Error(`DB fetch failed: HTTP ${res.status}`);
+  return {
+    json: await res.json(),
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+  };
+}
+
+export function itemDatabaseUrl(baseUrl) {
+  return String(baseUrl).replace(/\/+$/, "") + ITEM_DB_PATH;
+}
+
+// Each source: { kind, label, cacheable, fetchRaw() }. Cacheable sources go through the TTL cache file
+// and also have fetchConditional(validators) for ETag/Last-Modified revalidation.
+
+export function liveSource() {
+  return {
+    kind: "live",
+    label: "live",
+    cacheable: true,
+    url: DB_URL,
+    fetchRaw: async () => (await fetchJson(DB_URL)).json,
+    fetchConditional: (validators) => fetchJson(DB_URL, validators),
+  };
+}
+
+export function apiBaseSource(baseUrl) {
+  // a local mock (or mirror) of the Wynncraft v3 item endpoint
+  const url = itemDatabaseUrl(baseUrl);
+  return {
+    kind: "api",
+    label: `api:${baseUrl}`,
+    cacheable: true,
+    url,
+    fetchRaw: async () => (await fetchJson(url)).json,
+    fetchConditional: (validators) => fetchJson(url, validators),
+  };
+}
+
+export function snapshotSource(filePath) {
+  // pinned offline copy of the raw item payload; read on every load, never cached
+  const resolved = path.resolve(filePath);
+  return {
+    kind: "snapshot",
+    label: `snapshot:${path.basename(resolved)}`,
+    cacheable: false,
+    path: resolved,
+    fetchRaw: async () => JSON.parse(await fs.promises.readFile(resolved, "utf8")),
+  };
+}
+
+export function createDataSource(config = {}) {
+  const kind = String(config.kind ?? "live");
+  if (kind === "live") return liveSource();
+  if (kind === "api") {
+    if (!config.baseUrl) throw new Error("Data source \"api\" needs a baseUrl");
+    return apiBaseSource(config.baseUrl);
+  }
+  if (kind === "snapshot") {
+    if (!config.path) throw new Error("Data source \"snapshot\" needs a path");
+    return snapshotSource(config.path);
+  }
+  throw new Error(`Unknown data source "${kind}" (expected one of: ${DATA_SOURCE_KINDS.join(", ")})`);
+}
+
+export function dataSourceConfigFromEnv(env = process.env) {
+  if (env.WYNN_DATA_SNAPSHOT) return { kind: "snapshot", path: env.WYNN_DATA_SNAPSHOT };
+  if (env.WYNN_API_BASE) return { kind: "api", baseUrl: env.WYNN_API_BASE };
+  return { kind: "live" };
+}
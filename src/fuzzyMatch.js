@@ -0,0 +1,142 @@
+// Ranked, typo-tolerant item-name matching for /api/search.
+// Scores are tiered so an exact name always beats a prefix, a prefix beats a word prefix, and so on:
+//   exact 1000 > prefix 900 > word prefix 800 > substring 700 > per-word (typos allowed) 500+ > subsequence 100+
+// Every match carries highlight ranges ([start, end) into the item name) for the suggestion lists.
+
+// Community abbreviations -> full item name (lower case)
+export const NAME_ALIASES = {
+  cata: "cataclysm",
+  apoc: "apocalypse",
+  alka: "alkatraz",
+  quetz: "quetzalcoatl",
+  strat: "stratiformis",
+  singu: "singularity",
+  thrunda: "thrundacrack",
+  toxo: "toxoplasmosis",
+  grandma: "grandmother",
+  nirv: "nirvana",
+};
+
+const TIER = { exact: 1000, prefix: 900, wordPrefix: 800, substring: 700, words: 500, subsequence: 100 };
+// bonuses inside a tier stay under half the gap to the next tier, which leaves that tier room for its tiebreaks
+const WORDS_BONUS_MAX = (TIER.substring - TIER.words) / 2;
+const SUBSEQUENCE_BONUS_MAX = (TIER.words - TIER.subsequence) / 2;
+
+function wordsOf(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}']+/gu), (m) => ({ word: m[0], start: m.index }));
+}
+
+function typoBudget(len) {
+  if (len <= 3) return 0;
+  return len <= 6 ? 1 : 2;
+}
+
+/** Optimal string alignment distance (Levenshtein plus adjacent transpositions), capped at max + 1. */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// one query word against one name word -> { points, length } or null
+function matchWord(q, word) {
+  if (word === q) return { points: 4, length: word.length };
+  if (word.startsWith(q)) return { points: 3, length: q.length };
+  const budget = typoBudget(q.length);
+  if (!budget) return null;
+  const whole = editDistance(q, word, budget);
+  if (whole <= budget) return { points: 2.5 - whole * 0.5, length: word.length };
+  // typo inside a prefix ("cataclsm" while typing "cataclysm")
+  const prefix = editDistance(q, word.slice(0, q.length), budget);
+  if (prefix <= budget) return { points: 2 - prefix * 0.5, length: Math.min(q.length, word.length) };
+  return null;
+}
+
+function subsequenceMatch(q, text) {
+  const ranges = [];
+  let qi = 0;
+  let score = 0;
+  for (let ti = 0; ti < text.length && qi < q.length; ti++) {
+    if (text[ti] !== q[qi]) { score -= 0.2; continue; }
+    score += 2;
+    qi++;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === ti) last[1] = ti + 1;
+    else ranges.push([ti, ti + 1]);
+  }
+  return qi === q.length ? { score, ranges } : null;
+}
+
+/**
+ * Query vs item name (both lower case) -> { score, ranges } or null.
+ * `typos` allows per-word edit distance and subsequence matches; without it only
+ * exact/prefix/word-prefix/substring matches count.
+ */
+export function matchName(query, name, { typos = true } = {}) {
+  const q = query.trim();
+  if (!q) return null;
+  // shorter names first inside a tier
+  const tiebreak = -Math.min(50, Math.max(0, name.length - q.length)) * 0.5;
+
+  if (NAME_ALIASES[q] === name || name === q) return { score: TIER.exact, ranges: [[0, name.length]] };
+  if (name.startsWith(q)) return { score: TIER.prefix + tiebreak, ranges: [[0, q.length]] };
+
+  const words = wordsOf(name);
+  const wordHit = words.find((w) => name.startsWith(q, w.start));
+  if (wordHit) return { score: TIER.wordPrefix + tiebreak, ranges: [[wordHit.start, wordHit.start + q.length]] };
+
+  const at = name.indexOf(q);
+  if (at >= 0) return { score: TIER.substring + tiebreak - at * 0.1, ranges: [[at, at + q.length]] };
+
+  if (!typos) return null;
+
+  // every query word against a different name word
+  const used = new Set();
+  const ranges = [];
+  let points = 0;
+  for (const qw of wordsOf(q)) {
+    let best = null;
+    words.forEach((w, i) => {
+      if (used.has(i)) return;
+      const m = matchWord(qw.word, w.word);
+      if (m && (!best || m.points > best.m.points)) best = { i, m, w };
+    });
+    if (!best) { points = null; break; }
+    used.add(best.i);
+    points += best.m.points;
+    ranges.push([best.w.start, best.w.start + best.m.length]);
+  }
+  if (points != null && ranges.length) {
+    return { score: TIER.words + Math.min(points * 10, WORDS_BONUS_MAX) + tiebreak, ranges: ranges.sort((a, b) => a[0] - b[0]) };
+  }
+
+  const sub = subsequenceMatch(q, name);
+  return sub ? { score: TIER.subsequence + Math.min(sub.score, SUBSEQUENCE_BONUS_MAX), ranges: sub.ranges } : null;
+}
+
+/** Sorted, merged union of highlight ranges. */
+export function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const [s, e] of sorted) {
+    const last = out[out.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else out.push([s, e]);
+  }
+  return out;
+}
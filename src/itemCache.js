@@ -0,0 +1,91 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import zlib from "node:zlib";
+
+export const ITEM_CACHE_FORMAT = 2;
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/** Write to `<file>.tmp` and rename over `file`, so readers never see a half-written file. No tmp file is left on failure. */
+export function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * The downloaded item payload on disk: gzip of one JSON header line, "\n", then the payload JSON.
+ * Header: { format, fetchedAt, sourceUrl, itemCount, sha256 } where sha256 covers the payload text.
+ * Caches from before this format (plain `legacyFile` JSON) are still read.
+ */
+export class ItemCacheFile {
+  constructor({ file, legacyFile = null }) {
+    this.file = file;
+    this.legacyFile = legacyFile;
+  }
+
+  /**
+   * { status: "ok" | "legacy", raw, header, mtimeMs } | { status: "missing" } | { status: "corrupt", error }
+   */
+  read() {
+    if (!fs.existsSync(this.file)) return this.#readLegacy();
+
+    let text;
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.file).mtimeMs;
+      text = zlib.gunzipSync(fs.readFileSync(this.file)).toString("utf8");
+    } catch (e) {
+      return { status: "corrupt", error: `unreadable (${e?.code ?? e?.message ?? e})` };
+    }
+
+    const nl = text.indexOf("\n");
+    let header;
+    try {
+      header = JSON.parse(nl < 0 ? text : text.slice(0, nl));
+    } catch {
+      return { status: "corrupt", error: "bad header" };
+    }
+    if (header?.format !== ITEM_CACHE_FORMAT || nl < 0) return { status: "corrupt", error: "unknown format" };
+
+    const body = text.slice(nl + 1);
+    if (sha256(body) !== header.sha256) return { status: "corrupt", error: "checksum mismatch" };
+    try {
+      return { status: "ok", raw: JSON.parse(body), header, mtimeMs };
+    } catch {
+      return { status: "corrupt", error: "bad payload" };
+    }
+  }
+
+  #readLegacy() {
+    if (!this.legacyFile || !fs.existsSync(this.legacyFile)) return { status: "missing" };
+    try {
+      const mtimeMs = fs.statSync(this.legacyFile).mtimeMs;
+      const raw = JSON.parse(fs.readFileSync(this.legacyFile, "utf8"));
+      return { status: "legacy", raw, header: null, mtimeMs };
+    } catch (e) {
+      return { status: "corrupt", error: `legacy cache unreadable (${e?.message ?? e})` };
+    }
+  }
+
+  /** Returns the header written. */
+  write(raw, { sourceUrl = null, fetchedAt = Date.now() } = {}) {
+    const body = JSON.stringify(raw);
+    const header = {
+      format: ITEM_CACHE_FORMAT,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      sourceUrl,
+      itemCount: raw && typeof raw === "object" ? Object.keys(raw).length : 0,
+      sha256: sha256(body),
+    };
+    writeFileAtomic(this.file, zlib.gzipSync(`${JSON.stringify(header)}\n${body}`));
+    return header;
+  }
+}
@@ -0,0 +1,76 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { writeFileAtomic } from "./itemCache.js";
+
+/**
+ * A list of { id, name, ...} records kept in one local JSON file ({ version, items }).
+ * Mutations return { ok: true, item } or { ok: false, status, error, details }.
+ */
+export class JsonListStore {
+  constructor({ file, label, uniqueNames = false }) {
+    this.file = file;
+    this.label = label;
+    this.uniqueNames = uniqueNames;
+  }
+
+  list() {
+    try {
+      const json = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      return Array.isArray(json?.items) ? json.items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  get(id) {
+    return this.list().find((c) => c.id === id) ?? null;
+  }
+
+  #write(items) {
+    writeFileAtomic(this.file, JSON.stringify({ version: 1, items }, null, 2));
+  }
+
+  #nameTaken(items, name, exceptId = null) {
+    if (!this.uniqueNames) return false;
+    const lower = name.toLowerCase();
+    return items.some((c) => c.id !== exceptId && c.name.toLowerCase() === lower);
+  }
+
+  #notFound(id) {
+    return { ok: false, status: 404, error: `${this.label} not found`, details: id };
+  }
+
+  create(value) {
+    const items = this.list();
+    if (this.#nameTaken(items, value.name)) {
+      return { ok: false, status: 409, error: `${this.label} name already used`, details: value.name };
+    }
+    const now = new Date().toISOString();
+    const item = { id: crypto.randomUUID(), ...value, createdAt: now, updatedAt: now };
+    items.push(item);
+    this.#write(items);
+    return { ok: true, item };
+  }
+
+  update(id, value) {
+    const items = this.list();
+    const idx = items.findIndex((c) => c.id === id);
+    if (idx < 0) return this.#notFound(id);
+    if (this.#nameTaken(items, value.name, id)) {
+      return { ok: false, status: 409, error: `${this.label} name already used`, details: value.name };
+    }
+    const item = { ...items[idx], ...value, id, updatedAt: new Date().toISOString() };
+    items[idx] = item;
+    this.#write(items);
+    return { ok: true, item };
+  }
+
+  remove(id) {
+    const items = this.list();
+    const idx = items.findIndex((c) => c.id === id);
+    if (idx < 0) return this.#notFound(id);
+    const [item] = items.splice(idx, 1);
+    this.#write(items);
+    return { ok: true, item };
+  }
+}
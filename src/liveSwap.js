@@ -0,0 +1,81 @@
+import { DEFAULT_ROLL_MODE, addArr, effBonus, emptyArr, setBonusArr } from "./compat.js";
+import { DEFAULT_RULESET } from "./ruleset.js";
+
+// Swapping one piece of a worn build in game: the other pieces stay on and the assigned skill points stay put.
+// The candidate must meet its requirements with the others' bonuses (the replaced piece is already off), and
+// every piece must still meet its requirements afterwards.
+
+// at most this many worn pieces are tried as "take off first" sets (2^n subsets)
+const MAX_TAKE_OFF_POOL = 10;
+
+function bonusOf(items, rollMode, ruleset) {
+  return items.reduce((acc, it) => addArr(acc, effBonus(it, rollMode, ruleset)), setBonusArr(items));
+}
+
+// per skill: points missing for `it` with `bonus` worn and `assigned` points
+function shortfall(it, bonus, assigned) {
+  return it.reqArr.map((r, k) => Math.max(0, r - bonus[k] - assigned[k]));
+}
+
+const isZero = (arr) => arr.every((v) => v === 0);
+
+// can `items` be put back on, one at a time in some order, on top of `worn`?
+function canReequip(items, worn, assigned, rollMode, ruleset) {
+  const n = items.length;
+  const full = (1 << n) - 1;
+  const ok = new Uint8Array(1 << n);
+  ok[0] = 1;
+  for (let mask = 0; mask < full; mask++) {
+    if (!ok[mask]) continue;
+    const on = worn.concat(items.filter((_, j) => mask & (1 << j)));
+    const bonus = bonusOf(on, rollMode, ruleset);
+    for (let i = 0; i < n; i++) {
+      if (!(mask & (1 << i)) && isZero(shortfall(items[i], bonus, assigned))) ok[mask | (1 << i)] = 1;
+    }
+  }
+  return ok[full] === 1;
+}
+
+/**
+ * worn: the full current build (including `current`, the piece being replaced, or null for an empty slot).
+ * assigned: skill points the player has assigned [STR, DEX, INT, DEF, AGI].
+ * -> { direct, takeOffFirst, assignFirst }
+ *   direct: the candidate can go straight in.
+ *   takeOffFirst: items to take off before the swap (and put back after), when that is enough; else null.
+ *   assignFirst: points to assign before a direct swap when the assigned points fall short; else null.
+ */
+export function liveSwap(worn, current, cand, assigned, { rollMode = DEFAULT_ROLL_MODE, ruleset = DEFAULT_RULESET } = {}) {
+  const at = worn.indexOf(current);
+  const others = worn.filter((_, i) => i !== at);
+  const after = others.concat([cand]);
+  const bonusAfter = bonusOf(after, rollMode, ruleset);
+
+  const needNow = shortfall(cand, bonusOf(others, rollMode, ruleset), assigned);
+  let needAfter = emptyArr();
+  for (const it of after) {
+    const s = shortfall(it, bonusAfter, assigned);
+    needAfter = needAfter.map((v, k) => Math.max(v, s[k]));
+  }
+
+  if (isZero(needNow) && isZero(needAfter)) return { direct: true, takeOffFirst: [], assignFirst: null };
+
+  if (isZero(needAfter)) {
+    // only pieces with a penalty in a short skill can help
+    const pool = others
+      .map((_, i) => i)
+      .filter((i) => effBonus(others[i], rollMode, ruleset).some((v, k) => v < 0 && needNow[k] > 0))
+      .slice(0, MAX_TAKE_OFF_POOL);
+    let best = null;
+    for (let mask = 1; mask < (1 << pool.length); mask++) {
+      const offIdx = pool.filter((_, j) => mask & (1 << j));
+      if (best && offIdx.length >= best.length) continue;
+      const off = offIdx.map((i) => others[i]);
+      const stay = others.filter((_, i) => !offIdx.includes(i));
+      if (!isZero(shortfall(cand, bonusOf(stay, rollMode, ruleset), assigned))) continue;
+      if (canReequip(off, stay.concat([cand]), assigned, rollMode, ruleset)) best = off;
+    }
+    if (best) return { direct: false, takeOffFirst: best.map((it) => it.name), assignFirst: null };
+  }
+
+  return { direct: false, takeOffFirst: null, assignFirst: needNow.map((v, k) => Math.max(v, needAfter[k])) };
+}
@@ -0,0 +1,85 @@
+import { DEFAULT_ROLL_MODE } from "./compat.js";
+
+// Build stats the solver can maximize (`objectives`, weighted) or require (`minStats`, hard minimums).
+// A build stat is the sum over its items (tomes included); identifications count at the request's roll
+// (min / avg / max, like bonusFor; owned instances hold their exact rolls in all three).
+//   health: base health plus raw health IDs
+//   any other name: that identification (e.g. manaRegen, spellDamage, raw4thSpellCost)
+
+export const DERIVED_STATS = ["health"];
+
+/** One item's contribution to a build stat. */
+export function itemStat(it, stat, rollMode = DEFAULT_ROLL_MODE) {
+  const id = (key) => it.ids?.[key]?.[rollMode] ?? it.ids?.[key]?.avg ?? 0;
+  if (stat === "health") return (it.baseHealth ?? 0) + id("rawHealth");
+  return id(stat);
+}
+
+export function buildStat(items, stat, rollMode = DEFAULT_ROLL_MODE) {
+  return items.reduce((s, it) => s + itemStat(it, stat, rollMode), 0);
+}
+
+function invalid(error, details, acceptedValues) {
+  return { ok: false, error, details, acceptedValues };
+}
+
+function parseStatMap(value, { error, label, knownStats, nonZero }) {
+  if (value == null) return { ok: true, value: {} };
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return invalid(error, `${label} must be an object of stat names to numbers`, knownStats);
+  }
+  const out = {};
+  for (const [stat, raw] of Object.entries(value)) {
+    if (!knownStats.includes(stat)) return invalid(error, `unknown stat "${stat}"`, knownStats);
+    const n = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (typeof n !== "number" || !Number.isFinite(n)) return invalid(error, `${label}.${stat} must be a number`, knownStats);
+    if (nonZero && n === 0) continue;
+    out[stat] = n;
+  }
+  return { ok: true, value: out };
+}
+
+/**
+ * { objectives: { stat: weight }, minStats: { stat: minimum } } -> solver objective.
+ * knownStats: identification names the data has (DERIVED_STATS are always accepted).
+ * { ok: true, value: { weights, minStats } | null } | { ok: false, error, details, acceptedValues }
+ */
+export function parseObjective({ objectives, minStats } = {}, knownStats = []) {
+  const accepted = DERIVED_STATS.concat(knownStats.filter((s) => !DERIVED_STATS.includes(s)));
+  const weights = parseStatMap(objectives, { error: "Invalid objectives", label: "objectives", knownStats: accepted, nonZero: true });
+  if (!weights.ok) return weights;
+  const mins = parseStatMap(minStats, { error: "Invalid minStats", label: "minStats", knownStats: accepted });
+  if (!mins.ok) return mins;
+  if (!Object.keys(weights.value).length && !Object.keys(mins.value).length) return { ok: true, value: null };
+  return { ok: true, value: { weights: weights.value, minStats: mins.value } };
+}
+
+/** Weighted objective of a build; 0 without weights. */
+export function objectiveValue(items, weights, rollMode = DEFAULT_ROLL_MODE) {
+  let total = 0;
+  for (const [stat, w] of Object.entries(weights)) total += w * buildStat(items, stat, rollMode);
+  return total;
+}
+
+/** One item's share of the weighted objective (pool ordering). */
+export function itemObjective(it, weights, rollMode = DEFAULT_ROLL_MODE) {
+  let total = 0;
+  for (const [stat, w] of Object.entries(weights)) total += w * itemStat(it, stat, rollMode);
+  return total;
+}
+
+/**
+ * Second axis of a Pareto front against remaining SP: "neg" (fewer negative tradeoffs),
+ * "objective" (needs weighted objectives) or a stat name.
+ * { ok: true, value: axis | null } | { ok: false, error, details, acceptedValues }
+ */
+export function parseParetoAxis(value, objective, knownStats = []) {
+  if (value == null || value === "") return { ok: true, value: null };
+  const axis = String(value).trim();
+  const accepted = ["neg", "objective"].concat(DERIVED_STATS, knownStats.filter((s) => !DERIVED_STATS.includes(s)));
+  if (!accepted.includes(axis)) return invalid("Invalid pareto", `unknown axis "${axis}"`, accepted);
+  if (axis === "objective" && !Object.keys(objective?.weights ?? {}).length) {
+    return invalid("Invalid pareto", "pareto \"objective\" needs weighted objectives", accepted);
+  }
+  return { ok: true, value: axis };
+}
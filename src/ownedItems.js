@@ -0,0 +1,80 @@
+import { emptyArr, ROLL_MODES } from "./compat.js";
+import { JsonListStore } from "./jsonListStore.js";
+
+// selected[slotKey] = "owned:<id>" picks a registered instance instead of the DB item
+export const OWNED_PREFIX = "owned:";
+
+const SKILL_ID_KEYS = ["rawStrength", "rawDexterity", "rawIntelligence", "rawDefence", "rawAgility"];
+const MAX_LABEL_LENGTH = 80;
+
+function invalid(details) {
+  return { ok: false, error: "Invalid owned item", details };
+}
+
+/** Owned instance id from a selection value, or null for plain item names. */
+export function ownedRef(value) {
+  const s = String(value ?? "").trim();
+  return s.startsWith(OWNED_PREFIX) ? s.slice(OWNED_PREFIX.length) : null;
+}
+
+/**
+ * Validates a create/update body against the DB item it is a copy of.
+ * Exact values must be identifications the item has, inside its roll range.
+ */
+export function validateOwnedItem(input, byName) {
+  if (!input || typeof input !== "object") return invalid("body must be an object");
+
+  const itemName = String(input.itemName ?? "").trim();
+  const base = byName.get(itemName);
+  if (!base) return invalid(`itemName: no item named "${itemName}"`);
+
+  const label = String(input.label ?? "").trim();
+  if (label.length > MAX_LABEL_LENGTH) return invalid(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+
+  const ids = {};
+  for (const [id, raw] of Object.entries(input.ids ?? {})) {
+    const key = id === "rawDefense" ? "rawDefence" : id;
+    const range = base.ids?.[key];
+    if (!range) return invalid(`ids.${id}: ${itemName} has no such identification`);
+    const v = Number(raw);
+    if (!Number.isFinite(v)) return invalid(`ids.${id} must be a number`);
+    if (v < range.min || v > range.max) return invalid(`ids.${id} must be within ${range.min}..${range.max}`);
+    ids[key] = v;
+  }
+
+  return { ok: true, value: { name: label || itemName, itemName, ids } };
+}
+
+/**
+ * The DB item with the owned copy's exact rolls. Every roll mode sees the exact value for
+ * recorded identifications; unrecorded ones keep the DB range.
+ */
+export function instanceItem(base, owned) {
+  const ids = { ...base.ids };
+  for (const [id, v] of Object.entries(owned.ids ?? {})) ids[id] = { min: v, max: v, avg: v };
+
+  const bonusRolls = {};
+  for (const mode of ROLL_MODES) {
+    const dbRoll = base.bonusRolls?.[mode] ?? base.bonusArr;
+    bonusRolls[mode] = SKILL_ID_KEYS.map((k, i) => (k in (owned.ids ?? {}) ? owned.ids[k] : dbRoll[i]));
+  }
+  const bonusEffRolls = base.slot === "weapon"
+    ? { min: emptyArr(), avg: emptyArr(), max: emptyArr() }
+    : bonusRolls;
+
+  return {
+    ...base,
+    ids,
+    bonusArr: bonusRolls.avg,
+    bonusEffArr: bonusEffRolls.avg,
+    bonusRolls,
+    bonusEffRolls,
+    owned: { id: owned.id, label: owned.name },
+  };
+}
+
+export class OwnedItemStore extends JsonListStore {
+  constructor({ file }) {
+    super({ file, label: "Owned item" });
+  }
+}
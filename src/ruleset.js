@@ -0,0 +1,111 @@
+import fs from "node:fs";
+
+// Game rules the build math depends on. Routes accept a partial `ruleset` that is merged over these
+// (or over the server's WYNN_RULESET_FILE), so a game update only needs a config change.
+export const DEFAULT_RULESET = Object.freeze({
+  // skill point budget = pointsPerLevel * (min(level, skillPointLevelCap) - 1)
+  pointsPerLevel: 2,
+  skillPointLevelCap: 101,
+  // most points a player can assign to one skill
+  perSkillCap: 100,
+  // weapon skill bonuses count toward the requirements of other items
+  weaponBonusesCountForRequirements: false,
+  // class -> weapon type (strictWeaponClass); its keys are the accepted class values
+  classWeapons: Object.freeze({ warrior: "spear", archer: "bow", mage: "wand", assassin: "dagger", shaman: "relik" }),
+  // the same ring in both ring slots
+  allowDuplicateRings: false,
+  // tome slot kind -> how many tomes of that kind fit
+  tomeSlots: Object.freeze({ weapon: 2, armour: 4, guild: 1, lootrun: 1 }),
+  // raw item tomeType -> tome slot kind; tomes of other types cannot be equipped.
+  // Mysticism and expertise tomes share the weapon tome slots, marathon tomes the armour ones.
+  tomeTypes: Object.freeze({
+    weapon_tome: "weapon", mysticism_tome: "weapon", expertise_tome: "weapon",
+    armour_tome: "armour", marathon_tome: "armour",
+    guild_tome: "guild", lootrun_tome: "lootrun",
+  }),
+});
+
+export const RULESET_KEYS = Object.keys(DEFAULT_RULESET);
+
+const INTEGER_RULES = {
+  pointsPerLevel: { min: 0, max: 100 },
+  skillPointLevelCap: { min: 1, max: 10000 },
+  perSkillCap: { min: 0, max: 10000 },
+};
+const BOOLEAN_RULES = ["weaponBonusesCountForRequirements", "allowDuplicateRings"];
+
+function invalid(details) {
+  return { ok: false, error: "Invalid ruleset", details, acceptedValues: RULESET_KEYS };
+}
+
+/**
+ * Partial ruleset (object or JSON string) merged over `base`.
+ * { ok: true, value } | { ok: false, error, details, acceptedValues }
+ */
+export function parseRuleset(input, base = DEFAULT_RULESET) {
+  if (input == null || input === "") return { ok: true, value: base };
+  let obj = input;
+  if (typeof obj === "string") {
+    try {
+      obj = JSON.parse(obj);
+    } catch {
+      return invalid("ruleset must be a JSON object");
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return invalid("ruleset must be an object");
+
+  const value = { ...base };
+  for (const [key, v] of Object.entries(obj)) {
+    if (INTEGER_RULES[key]) {
+      const { min, max } = INTEGER_RULES[key];
+      if (!Number.isInteger(v) || v < min || v > max) return invalid(`${key} must be an integer in ${min}..${max}`);
+      value[key] = v;
+    } else if (BOOLEAN_RULES.includes(key)) {
+      if (typeof v !== "boolean") return invalid(`${key} must be true or false`);
+      value[key] = v;
+    } else if (key === "classWeapons") {
+      if (!v || typeof v !== "object" || Array.isArray(v) || !Object.keys(v).length) {
+        return invalid("classWeapons must map at least one class to a weapon type");
+      }
+      const map = {};
+      for (const [cls, weapon] of Object.entries(v)) {
+        if (typeof weapon !== "string" || !weapon.trim()) return invalid(`classWeapons.${cls} must be a weapon type`);
+        map[cls.toLowerCase().trim()] = weapon.toLowerCase().trim();
+      }
+      value.classWeapons = Object.freeze(map);
+    } else if (key === "tomeSlots") {
+      if (!v || typeof v !== "object" || Array.isArray(v)) return invalid("tomeSlots must map tome slot kinds to counts");
+      const map = {};
+      for (const [kind, count] of Object.entries(v)) {
+        if (!Number.isInteger(count) || count < 0 || count > 20) return invalid(`tomeSlots.${kind} must be an integer in 0..20`);
+        map[kind.toLowerCase().trim()] = count;
+      }
+      value.tomeSlots = Object.freeze(map);
+    } else if (key === "tomeTypes") {
+      if (!v || typeof v !== "object" || Array.isArray(v)) return invalid("tomeTypes must map tome types to tome slot kinds");
+      const map = {};
+      for (const [type, kind] of Object.entries(v)) {
+        if (typeof kind !== "string" || !kind.trim()) return invalid(`tomeTypes.${type} must be a tome slot kind`);
+        map[type.toLowerCase().trim()] = kind.toLowerCase().trim();
+      }
+      value.tomeTypes = Object.freeze(map);
+    } else {
+      return invalid(`unknown rule "${key}"`);
+    }
+  }
+  const orphan = Object.entries(value.tomeTypes).find(([, kind]) => !Object.hasOwn(value.tomeSlots, kind));
+  if (orphan) return invalid(`tomeTypes.${orphan[0]}: no tome slot "${orphan[1]}" in tomeSlots`);
+  return { ok: true, value: Object.freeze(value) };
+}
+
+/** Server-wide ruleset from a JSON file (missing file -> defaults); throws on invalid content. */
+export function loadRulesetFile(file) {
+  if (!file || !fs.existsSync(file)) return DEFAULT_RULESET;
+  const parsed = parseRuleset(fs.readFileSync(file, "utf8"));
+  if (!parsed.ok) throw new Error(`${file}: ${parsed.details}`);
+  return parsed.value;
+}
+
+export function weaponTypeForClass(cls, ruleset = DEFAULT_RULESET) {
+  return ruleset.classWeapons[cls] ?? null;
+}
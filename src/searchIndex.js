@@ -0,0 +1,298 @@
+import { NAME_ALIASES, matchName, mergeRanges } from "./fuzzyMatch.js";
+
+// Prebuilt lookups over the normalized items plus the /api/search query language:
+//   slot:ring lvl:60..80 dex>=5 rarity:legendary -mythic name:~"nova"
+// Terms are ANDed; a leading "-" negates a term. Bare words match item names
+// (or a rarity, when the word is one), "name:^x" is a prefix match and "name:~x" a fuzzy one.
+// Name terms rank the results (see fuzzyMatch.js) and report highlight ranges.
+
+const SKILL_FIELDS = ["str", "dex", "int", "def", "agi"];
+
+const NUMERIC_FIELDS = {
+  lvl: (it) => it.levelReq,
+  level: (it) => it.levelReq,
+  dps: (it) => it.dps ?? 0,
+  hp: (it) => it.baseHealth ?? 0,
+  powder: (it) => it.powderSlots ?? 0,
+  ...Object.fromEntries(SKILL_FIELDS.map((f, i) => [f, (it) => it.bonusArr?.[i] ?? 0])),
+  ...Object.fromEntries(SKILL_FIELDS.map((f, i) => [`req.${f}`, (it) => it.reqArr?.[i] ?? 0])),
+};
+
+const TEXT_FIELDS = ["name", "slot", "rarity", "class", "type", "set", "major"];
+
+export const SEARCH_FIELDS = [...TEXT_FIELDS, ...Object.keys(NUMERIC_FIELDS), "<identification>"];
+
+function tokenize(q) {
+  // whitespace-separated, except inside double quotes
+  const tokens = [];
+  let cur = "";
+  let inQuote = false;
+  for (const ch of q) {
+    if (ch === '"') inQuote = !inQuote;
+    if (!inQuote && /\s/.test(ch)) {
+      if (cur) tokens.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  if (cur) tokens.push(cur);
+  return tokens;
+}
+
+const unquote = (s) => s.replaceAll('"', "");
+
+/**
+ * Query string -> [{ negate, field, op, value }] (field/op are null for bare words).
+ * Syntax only; field names and numbers are checked by SearchIndex.search().
+ */
+export function parseSearchQuery(q) {
+  const terms = [];
+  for (const token of tokenize(String(q ?? ""))) {
+    const negate = token.startsWith("-") && token.length > 1;
+    const body = negate ? token.slice(1) : token;
+    const m = body.match(/^([A-Za-z_][\w.]*)(>=|<=|>|<|=|:)(.*)$/s);
+    if (m) {
+      const value = unquote(m[3]).trim();
+      if (!value) return { ok: false, error: "Invalid search query", details: `${token}: missing value` };
+      terms.push({ negate, field: m[1].toLowerCase(), op: m[2], value });
+    } else {
+      const value = unquote(body).trim().toLowerCase();
+      if (value) terms.push({ negate, field: null, op: null, value });
+    }
+  }
+  return { ok: true, terms };
+}
+
+function parseRange(op, value) {
+  // -> { lo, hi, loInc, hiInc } or null
+  const num = (s) => (s === "" ? null : Number(s));
+  if (op === ":" && value.includes("..")) {
+    const [a, b] = value.split("..");
+    const lo = num(a.trim());
+    const hi = num(b.trim());
+    if ((lo != null && !Number.isFinite(lo)) || (hi != null && !Number.isFinite(hi)) || (lo == null && hi == null)) return null;
+    return { lo: lo ?? -Infinity, hi: hi ?? Infinity, loInc: true, hiInc: true };
+  }
+  const v = Number(value);
+  if (!Number.isFinite(v)) return null;
+  if (op === ">=") return { lo: v, hi: Infinity, loInc: true, hiInc: true };
+  if (op === ">") return { lo: v, hi: Infinity, loInc: false, hiInc: true };
+  if (op === "<=") return { lo: -Infinity, hi: v, loInc: true, hiInc: true };
+  if (op === "<") return { lo: -Infinity, hi: v, loInc: true, hiInc: false };
+  return { lo: v, hi: v, loInc: true, hiInc: true };
+}
+
+function inRange(v, r) {
+  return (r.loInc ? v >= r.lo : v > r.lo) && (r.hiInc ? v <= r.hi : v < r.hi);
+}
+
+function pushTo(map, key, pos) {
+  const list = map.get(key);
+  if (list) list.push(pos);
+  else map.set(key, [pos]);
+}
+
+function trigramsOf(s) {
+  const out = new Set();
+  for (let i = 0; i + 3 <= s.length; i++) out.add(s.slice(i, i + 3));
+  return out;
+}
+
+function intersectSorted(a, b) {
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { out.push(a[i]); i++; j++; }
+    else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  return out;
+}
+
+/** Positions are indexes into `items`; every posting list is ascending. */
+export class SearchIndex {
+  constructor(items) {
+    this.items = items;
+    this.bySlot = new Map();
+    this.byRarity = new Map();
+    this.trigrams = new Map();
+    this.byLowerName = new Map();
+    this.numeric = new Map(); // field -> { order: Int32Array, values: Float64Array } sorted by value
+    this.idKeys = new Map();  // lower-case identification -> payload key
+
+    const idPositions = new Map();
+    items.forEach((it, pos) => {
+      pushTo(this.bySlot, it.slot, pos);
+      pushTo(this.byRarity, String(it.rarity).toLowerCase(), pos);
+      this.byLowerName.set(it.lowerName, pos);
+      for (const tri of trigramsOf(it.lowerName)) pushTo(this.trigrams, tri, pos);
+      for (const id of Object.keys(it.ids ?? {})) {
+        this.idKeys.set(id.toLowerCase(), id);
+        pushTo(idPositions, id, pos);
+      }
+    });
+
+    for (const [field, get] of Object.entries(NUMERIC_FIELDS)) {
+      this.numeric.set(field, this.#sortedBy(items.map((_, pos) => pos), (pos) => get(items[pos])));
+    }
+    for (const [id, positions] of idPositions) {
+      this.numeric.set(`id:${id}`, this.#sortedBy(positions, (pos) => items[pos].ids[id].avg));
+    }
+  }
+
+  #sortedBy(positions, valueOf) {
+    const pairs = positions.map((pos) => [valueOf(pos), pos]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    return { order: Int32Array.from(pairs, (p) => p[1]), values: Float64Array.from(pairs, (p) => p[0]) };
+  }
+
+  #rangePositions(key, r) {
+    const { order, values } = this.numeric.get(key);
+    const lowerBound = (pred) => {
+      let lo = 0;
+      let hi = values.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (pred(values[mid])) hi = mid; else lo = mid + 1;
+      }
+      return lo;
+    };
+    const start = lowerBound((v) => (r.loInc ? v >= r.lo : v > r.lo));
+    const end = lowerBound((v) => (r.hiInc ? v > r.hi : v >= r.hi));
+    return Array.from(order.subarray(start, Math.max(start, end))).sort((a, b) => a - b);
+  }
+
+  #namePositions(text) {
+    if (text.length < 3) return null;
+    let out = null;
+    for (const tri of trigramsOf(text)) {
+      const list = this.trigrams.get(tri) ?? [];
+      out = out ? intersectSorted(out, list) : list;
+      if (!out.length) break;
+    }
+    return out;
+  }
+
+  #nameTerm(value, mode) {
+    if (mode === "fuzzy") {
+      return { match: (it) => matchName(value, it.lowerName), lookup: null };
+    }
+    const aliasPos = this.byLowerName.get(NAME_ALIASES[value]);
+    const lookup = () => {
+      const list = this.#namePositions(value);
+      if (!list || aliasPos == null || list.includes(aliasPos)) return list;
+      return list.concat(aliasPos).sort((a, b) => a - b);
+    };
+    const keep = mode === "starts"
+      ? (it) => it.lowerName.startsWith(value)
+      : (it) => it.lowerName.includes(value);
+    return {
+      match: (it) => ((keep(it) || NAME_ALIASES[value] === it.lowerName) ? matchName(value, it.lowerName, { typos: false }) : null),
+      lookup,
+    };
+  }
+
+  // one parsed term -> { test(it) | match(it) -> { score, ranges }|null, lookup() -> positions|null } or { error }
+  #compile(term, mode) {
+    const { field, op, value } = term;
+    const lower = value.toLowerCase();
+
+    if (field == null) {
+      if (this.byRarity.has(lower)) return { test: (it) => String(it.rarity).toLowerCase() === lower, lookup: () => this.byRarity.get(lower) };
+      return this.#nameTerm(lower, mode);
+    }
+
+    if (TEXT_FIELDS.includes(field)) {
+      if (op !== ":" && op !== "=") return { error: `${field} only supports ":"` };
+      switch (field) {
+        case "name":
+          if (lower.startsWith("~")) return this.#nameTerm(lower.slice(1), "fuzzy");
+          if (lower.startsWith("^")) return this.#nameTerm(lower.slice(1), "starts");
+          return this.#nameTerm(lower, "contains");
+        case "slot":
+          return { test: (it) => it.slot === lower, lookup: () => this.bySlot.get(lower) ?? [] };
+        case "rarity":
+          return { test: (it) => String(it.rarity).toLowerCase() === lower, lookup: () => this.byRarity.get(lower) ?? [] };
+        case "class":
+          return { test: (it) => it.classReq === lower, lookup: null };
+        case "type":
+          return { test: (it) => it.weaponType === lower || String(it.subType ?? "").toLowerCase() === lower, lookup: null };
+        case "set":
+          return { test: (it) => String(it.setName ?? "").toLowerCase().includes(lower), lookup: null };
+        case "major":
+          return { test: (it) => (it.majorIds ?? []).some((m) => m.toLowerCase() === lower), lookup: null };
+      }
+    }
+
+    const r = parseRange(op, value);
+    if (Object.hasOwn(NUMERIC_FIELDS, field)) {
+      if (!r) return { error: `${field}${op}${value}: expected a number or a range like 60..80` };
+      const get = NUMERIC_FIELDS[field];
+      return { test: (it) => inRange(get(it), r), lookup: () => this.#rangePositions(field, r) };
+    }
+
+    const id = this.idKeys.get(field);
+    if (id) {
+      if (!r) return { error: `${field}${op}${value}: expected a number or a range like 60..80` };
+      // items without the identification count as 0, like minIds
+      const test = (it) => inRange(it.ids?.[id]?.avg ?? 0, r);
+      return { test, lookup: inRange(0, r) ? null : () => this.#rangePositions(`id:${id}`, r) };
+    }
+
+    return { error: `unknown field "${field}"` };
+  }
+
+  /**
+   * Items matching every term, best name match first (item order when there is no name term),
+   * plus highlight ranges into each item name.
+   * mode (contains|starts|fuzzy) applies to bare words; contains ANDs them, the other
+   * modes match them as one phrase ("clockwork r" still prefixes "clockwork ring").
+   * { ok: true, items } | { ok: false, error, details }
+   */
+  search(terms, { mode = "contains" } = {}) {
+    if (mode === "starts" || mode === "fuzzy") {
+      const isWord = (t) => t.field == null && !t.negate && !this.byRarity.has(t.value);
+      const words = terms.filter(isWord);
+      if (words.length > 1) {
+        terms = [...terms.filter((t) => !isWord(t)), { negate: false, field: null, op: null, value: words.map((t) => t.value).join(" ") }];
+      }
+    }
+
+    const compiled = [];
+    for (const term of terms) {
+      const c = this.#compile(term, mode);
+      if (c.error) return { ok: false, error: "Invalid search query", details: c.error };
+      compiled.push({ ...c, negate: term.negate });
+    }
+
+    // start from the smallest posting list among positive indexed terms
+    let positions = null;
+    for (const c of compiled) {
+      if (c.negate || !c.lookup) continue;
+      const list = c.lookup();
+      if (list && (!positions || list.length < positions.length)) positions = list;
+    }
+
+    const candidates = positions ? positions.map((pos) => this.items[pos]) : this.items;
+    const hits = [];
+    for (const it of candidates) {
+      let score = 0;
+      const ranges = [];
+      const keep = compiled.every((c) => {
+        if (!c.match) return c.test(it) !== c.negate;
+        const m = c.match(it);
+        if (m && !c.negate) {
+          score += m.score;
+          ranges.push(...m.ranges);
+        }
+        return Boolean(m) !== c.negate;
+      });
+      if (keep) hits.push({ it, score, ranges });
+    }
+
+    // stable: without name terms every score is 0 and item order stays
+    hits.sort((a, b) => b.score - a.score);
+    return { ok: true, items: hits.map((h) => h.it), highlights: hits.map((h) => mergeRanges(h.ranges)) };
+  }
+}
@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import { SKILLS, setTierFor } from "./compat.js";
+
+const SKILL_ID_KEYS = ["rawStrength", "rawDexterity", "rawIntelligence", "rawDefence", "rawAgility"];
+
+function numericIds(obj = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj ?? {})) {
+    const n = Number(typeof v === "object" && v ? (v.raw ?? v.max) : v);
+    if (Number.isFinite(n)) out[k === "rawDefense" ? "rawDefence" : k] = n;
+  }
+  return out;
+}
+
+function tiersFromBonuses(bonuses) {
+  // bonuses: { "2": {ids...}, "3": {...} } or [ {1 piece}, {2 pieces}, ... ]; each tier is the full bonus at that count
+  const entries = Array.isArray(bonuses)
+    ? bonuses.map((ids, i) => [i + 1, ids])
+    : Object.entries(bonuses ?? {}).map(([count, ids]) => [Number(count), ids]);
+
+  return entries
+    .filter(([count]) => Number.isInteger(count) && count > 0)
+    .map(([count, raw]) => {
+      const ids = numericIds(raw);
+      return { count, ids, bonusArr: SKILL_ID_KEYS.map((k) => ids[k] ?? 0) };
+    })
+    .sort((a, b) => a.count - b.count);
+}
+
+/**
+ * Set definitions file: { [setName]: { items: [itemName...], bonuses: { [pieceCount]: { [identification]: value } } } }.
+ * The Wynncraft item payload carries no set data, so this lives next to the item cache.
+ */
+export function parseSetDefinitions(json) {
+  const sets = new Map();
+  if (!json || typeof json !== "object") return sets;
+  for (const [name, def] of Object.entries(json)) {
+    const items = Array.isArray(def?.items) ? def.items.map(String) : [];
+    if (!items.length) continue;
+    sets.set(name, { name, items, tiers: tiersFromBonuses(def.bonuses) });
+  }
+  return sets;
+}
+
+export function loadSetDefinitions(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { sets: new Map(), error: null };
+  try {
+    return { sets: parseSetDefinitions(JSON.parse(fs.readFileSync(filePath, "utf8"))), error: null };
+  } catch (e) {
+    return { sets: new Map(), error: `Set definitions unreadable: ${e?.message ?? e}` };
+  }
+}
+
+/** Links each member item to its set (it.set / it.setName); returns how many items were linked. */
+export function attachSets(byName, sets) {
+  let linked = 0;
+  for (const set of sets.values()) {
+    for (const itemName of set.items) {
+      const it = byName.get(itemName);
+      if (!it) continue;
+      it.set = set;
+      it.setName = set.name;
+      linked += 1;
+    }
+  }
+  return linked;
+}
+
+/** Per-set summary of a build: pieces worn, the active tier and the next tier still to reach. */
+export function setSummary(items) {
+  const counts = new Map();
+  for (const it of items) {
+    if (it.set) counts.set(it.set, (counts.get(it.set) ?? 0) + 1);
+  }
+  const out = [];
+  for (const [set, pieces] of counts) {
+    const active = setTierFor(set, pieces);
+    const next = set.tiers.find((t) => t.count > pieces) ?? null;
+    out.push({
+      name: set.name,
+      pieces,
+      of: set.items.length,
+      members: items.filter((it) => it.set === set).map((it) => it.name),
+      activeBonus: active ? { pieces: active.count, ids: active.ids, skills: Object.fromEntries(SKILLS.map((s, i) => [s, active.bonusArr[i]])) } : null,
+      nextBonusAt: next ? next.count : null,
+    });
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,56 @@
+import { addArr, bonusFor, setBonusArr, toObj } from "./compat.js";
+
+// In-game effect of a skill's final total (assigned + item/set bonuses, weapon bonuses included).
+// Every skill follows the same curve, capped at 150 points (~80.8%); each effect then scales it:
+//   STR damage bonus x1, DEX critical hit chance x1, INT spell cost reduction scaled so 150 points give 50% (x~0.619),
+//   DEF damage reduction x0.867, AGI dodge chance x0.951
+
+export const SKILL_POINT_EFFECT_CAP = 150;
+const CURVE_RATIO = 0.9908;
+
+export const SKILL_EFFECTS = [
+  { skill: "strength", effect: "damageBonus", mult: 1 },
+  { skill: "dexterity", effect: "critChance", mult: 1 },
+  { skill: "intelligence", effect: "spellCostReduction", mult: 50 / skillPointPercent(SKILL_POINT_EFFECT_CAP) },
+  { skill: "defence", effect: "damageReduction", mult: 0.867 },
+  { skill: "agility", effect: "dodgeChance", mult: 0.951 },
+];
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/** Percent (0..~80.8) granted by a skill total; nothing below 1 point. */
+export function skillPointPercent(points) {
+  const sp = Math.min(SKILL_POINT_EFFECT_CAP, Math.floor(points));
+  if (sp <= 0) return 0;
+  return (CURVE_RATIO / (1 - CURVE_RATIO)) * (1 - CURVE_RATIO ** sp);
+}
+
+/** Final skill totals [STR, DEX, INT, DEF, AGI] -> { damageBonus, critChance, ... } in percent. */
+export function skillEffects(totals) {
+  const out = {};
+  SKILL_EFFECTS.forEach(({ effect, mult }, i) => {
+    out[effect] = round2(skillPointPercent(totals[i] ?? 0) * mult);
+  });
+  return out;
+}
+
+/** Skill totals worn items add on top of assigned points (set bonuses included). */
+export function itemSkillTotals(items, rollMode) {
+  return items.reduce((acc, it) => addArr(acc, bonusFor(it, rollMode)), setBonusArr(items));
+}
+
+/**
+ * allocPresets() entries -> same entries plus `totals` (per skill name) and `effects`,
+ * so presets compare in in-game terms.
+ */
+export function presetEffects(items, allocs, rollMode) {
+  const bonus = itemSkillTotals(items, rollMode);
+  return allocs.map((a) => {
+    const totals = addArr(a.alloc, bonus);
+    return {
+      ...a,
+      totals: toObj(totals),
+      effects: skillEffects(totals),
+    };
+  });
+}
@@ -0,0 +1,144 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { SKILLS } from "./compat.js";
+
+const DEFAULT_MAX_SNAPSHOTS = 60;
+
+function snapshotEntry(it) {
+  // only what a patch diff cares about; display-only fields are left out
+  return {
+    slot: it.slot,
+    rarity: it.rarity,
+    levelReq: it.levelReq,
+    classReq: it.classReq ?? null,
+    reqArr: it.reqArr,
+    bonusArr: it.bonusArr,
+    ids: it.ids ?? {},
+  };
+}
+
+function snapshotIdFor(date) {
+  // 2026-10-19T15-24-00Z: sortable as a string and safe as a file name
+  return date.toISOString().slice(0, 19).replace(/:/g, "-") + "Z";
+}
+
+function sameRange(a, b) {
+  return a?.min === b?.min && a?.max === b?.max;
+}
+
+/**
+ * Field-level changes between two snapshot entries, in a stable order:
+ * slot, rarity, level, class, per-skill requirements, per-skill bonuses, identifications.
+ */
+export function diffItem(a, b) {
+  const changes = [];
+  const push = (field, from, to) => changes.push({ field, from, to });
+
+  if (a.slot !== b.slot) push("slot", a.slot, b.slot);
+  if (a.rarity !== b.rarity) push("rarity", a.rarity, b.rarity);
+  if (a.levelReq !== b.levelReq) push("levelReq", a.levelReq, b.levelReq);
+  if ((a.classReq ?? null) !== (b.classReq ?? null)) push("classReq", a.classReq ?? null, b.classReq ?? null);
+
+  for (let i = 0; i < 5; i++) {
+    if (a.reqArr[i] !== b.reqArr[i]) push(`req.${SKILLS[i]}`, a.reqArr[i], b.reqArr[i]);
+  }
+  for (let i = 0; i < 5; i++) {
+    if (a.bonusArr[i] !== b.bonusArr[i]) push(`bonus.${SKILLS[i]}`, a.bonusArr[i], b.bonusArr[i]);
+  }
+
+  const idKeys = Array.from(new Set([...Object.keys(a.ids ?? {}), ...Object.keys(b.ids ?? {})])).sort();
+  for (const id of idKeys) {
+    const ra = a.ids?.[id] ?? null;
+    const rb = b.ids?.[id] ?? null;
+    if (!sameRange(ra, rb)) push(`id.${id}`, ra && { min: ra.min, max: ra.max }, rb && { min: rb.min, max: rb.max });
+  }
+
+  return changes;
+}
+
+export function diffSnapshots(fromItems, toItems) {
+  const summary = (name, e) => ({ name, slot: e.slot, rarity: e.rarity, levelReq: e.levelReq });
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, e] of Object.entries(toItems)) {
+    if (!(name in fromItems)) added.push(summary(name, e));
+  }
+  for (const [name, e] of Object.entries(fromItems)) {
+    if (!(name in toItems)) {
+      removed.push(summary(name, e));
+      continue;
+    }
+    const changes = diffItem(e, toItems[name]);
+    if (changes.length) changed.push({ ...summary(name, toItems[name]), changes });
+  }
+
+  const byName = (x, y) => x.name.localeCompare(y.name);
+  added.sort(byName);
+  removed.sort(byName);
+  changed.sort(byName);
+  return { added, removed, changed };
+}
+
+export class SnapshotStore {
+  constructor({ dir, maxSnapshots = DEFAULT_MAX_SNAPSHOTS }) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, "index.json");
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  list() {
+    try {
+      const index = JSON.parse(fs.readFileSync(this.indexFile, "utf8"));
+      return Array.isArray(index) ? index : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the normalized DB if it differs from the latest snapshot.
+   * Returns the id of the snapshot that now matches the DB.
+   */
+  record(norm, { source = "unknown", now = new Date() } = {}) {
+    const items = {};
+    for (const it of norm.items) items[it.name] = snapshotEntry(it);
+    const body = JSON.stringify(items);
+    const hash = crypto.createHash("sha1").update(body).digest("hex");
+
+    const index = this.list();
+    const latest = index[index.length - 1];
+    if (latest && latest.hash === hash) return latest.id;
+
+    let id = snapshotIdFor(now);
+    for (let n = 2; index.some((x) => x.id === id); n++) id = `${snapshotIdFor(now)}-${n}`;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${id}.json`), body);
+
+    index.push({ id, takenAt: now.toISOString(), source, hash, itemCount: norm.items.length });
+    while (index.length > this.maxSnapshots) {
+      const old = index.shift();
+      fs.rmSync(path.join(this.dir, `${old.id}.json`), { force: true });
+    }
+    fs.writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+    return id;
+  }
+
+  /** Exact id, or the latest snapshot taken on/before a date or timestamp prefix. */
+  resolve(ref) {
+    const index = this.list();
+    const q = String(ref ?? "").trim();
+    if (!q) return null;
+    const exact = index.find((x) => x.id === q);
+    if (exact) return exact;
+    const matches = index.filter((x) => x.id <= q || x.id.startsWith(q));
+    return matches[matches.length - 1] ?? null;
+  }
+
+  read(id) {
+    return JSON.parse(fs.readFileSync(path.join(this.dir, `${id}.json`), "utf8"));
+  }
+}
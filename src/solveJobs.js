@@ -0,0 +1,80 @@
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { Worker } from "node:worker_threads";
+
+const WORKER_URL = new URL("./solveWorker.js", import.meta.url);
+
+/**
+ * Background solves, one worker thread each.
+ * A job is { id, status: "running" | "done" | "cancelled" | "failed", progress, result, error, events }:
+ * `events` emits "progress" (solver progress) and "end" (the job, once it stops running).
+ * Finished jobs are kept for `keepMs` so their result can still be read.
+ */
+export class SolveJobs {
+  constructor({ maxRunning = 2, keepMs = 10 * 60 * 1000 } = {}) {
+    this.maxRunning = maxRunning;
+    this.keepMs = keepMs;
+    this.jobs = new Map();
+  }
+
+  runningCount() {
+    let n = 0;
+    for (const job of this.jobs.values()) if (job.status === "running") n += 1;
+    return n;
+  }
+
+  /**
+   * input: { db: { bySlot }, ctx } for solveBuild(); finish(result) -> the job's result.
+   * Returns the job, or null when maxRunning jobs are already running.
+   */
+  start(input, finish) {
+    if (this.runningCount() >= this.maxRunning) return null;
+
+    const job = { id: crypto.randomUUID(), status: "running", progress: null, result: null, error: null, events: new EventEmitter() };
+    this.jobs.set(job.id, job);
+
+    const worker = new Worker(WORKER_URL, { workerData: input });
+    // a running solve must not keep the process alive on shutdown
+    worker.unref();
+    job.worker = worker;
+
+    worker.on("message", (msg) => {
+      if (job.status !== "running") return;
+      if (msg.type === "progress") {
+        job.progress = msg.progress;
+        job.events.emit("progress", msg.progress);
+      } else if (msg.type === "done") {
+        try {
+          this.end(job, "done", { result: finish(msg.result) });
+        } catch (e) {
+          this.end(job, "failed", { error: String(e?.message ?? e) });
+        }
+      }
+    });
+    worker.on("error", (e) => this.end(job, "failed", { error: String(e?.message ?? e) }));
+    worker.on("exit", (code) => this.end(job, "failed", { error: `solver exited (code ${code})` }));
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) ?? null;
+  }
+
+  /** Stops a running job; finished jobs are left as they are. */
+  cancel(id) {
+    const job = this.get(id);
+    if (job) this.end(job, "cancelled");
+    return job;
+  }
+
+  end(job, status, { result = null, error = null } = {}) {
+    if (job.status !== "running") return;
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.worker.terminate();
+    job.worker = null;
+    job.events.emit("end", job);
+    setTimeout(() => this.jobs.delete(job.id), this.keepMs).unref();
+  }
+}
@@ -0,0 +1,10 @@
+import { parentPort, workerData } from "node:worker_threads";
+import { solveBuild } from "./solver.js";
+
+// Runs one solveBuild() off the server thread (see solveJobs.js); workerData: { db: { bySlot }, ctx }.
+const { db, ctx } = workerData;
+const result = solveBuild(db, {
+  ...ctx,
+  onProgress: (progress) => parentPort.postMessage({ type: "progress", progress }),
+});
+parentPort.postMessage({ type: "done", result });
@@ -1,11 +1,14 @@
-import { computeBuildStats, emptyArr, addArr, negSumArr } from "./compat.js";
+import { computeBuildStats, minFinalSpend, emptyArr, addArr, maxArr, negSumArr, setTierFor, bonusFor, effBonus } from "./compat.js";
+import { DEFAULT_RULESET, weaponTypeForClass } from "./ruleset.js";
+import { freeTomeSlots, tomeSlotOf } from "./tomes.js";
+import { buildStat, itemObjective, itemStat, objectiveValue } from "./objectives.js";
 
-const GEAR_SLOTS = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"];
+// ctx.onProgress is called every this many nodes (and whenever the results change)
+const PROGRESS_EVERY = 5000;
+// two-slot swaps of the local search pair up this many candidates per slot
+const SWAP_SHORTLIST = 12;
 
-function weaponTypeForClass(cls) {
-  const m = { warrior: "spear", mage: "wand", archer: "bow", assassin: "dagger", shaman: "relik" };
-  return m[cls] ?? null;
-}
+const GEAR_SLOTS = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"];
 
 function passesBaseFilters(it, ctx) {
   if (it.levelReq > ctx.level) return false;
@@ -13,7 +16,7 @@ function passesBaseFilters(it, ctx) {
   if (ctx.class) {
     // class requirement field is inconsistent in practice; we enforce weapon type strictly if requested
     if (it.slot === "weapon" && ctx.strictWeaponClass) {
-      const w = weaponTypeForClass(ctx.class);
+      const w = weaponTypeForClass(ctx.class, ctx.ruleset);
       if (w && it.weaponType && it.weaponType !== w) return false;
     }
     if (it.classReq && it.classReq !== ctx.class) return false;
@@ -28,35 +31,92 @@ function passesBaseFilters(it, ctx) {
   if (ctx.noCraftedBestEffort && !it.identifier) return false;
 
   if (ctx.noNegativeItemSkillBonuses) {
-    if (it.bonusArr.some((v) => v < 0)) return false;
+    if (bonusFor(it, ctx.rollMode).some((v) => v < 0)) return false;
   }
 
   if (ctx.mustGiveStat != null) {
     const idx = ctx.mustGiveStat;
-    if ((it.slot === "weapon" ? it.bonusArr[idx] : it.bonusEffArr[idx]) <= 0) return false;
+    if ((it.slot === "weapon" ? bonusFor(it, ctx.rollMode)[idx] : effBonus(it, ctx.rollMode, ctx.ruleset)[idx]) <= 0) return false;
+  }
+
+  if (ctx.minIds) {
+    for (const [id, min] of Object.entries(ctx.minIds)) {
+      if (itemStat(it, id, ctx.rollMode) < min) return false;
+    }
   }
 
   return true;
 }
 
+// tomes the solver may add to empty tome slots: usable at this level, skill points only, no penalties
+function tomeUsable(it, ctx) {
+  if (it.levelReq > ctx.level) return false;
+  if (ctx.class && it.classReq && it.classReq !== ctx.class) return false;
+  if (ctx.noMythic && String(it.rarity).toLowerCase() === "mythic") return false;
+  if (ctx.allowedRarities?.length && !ctx.allowedRarities.includes(it.rarity)) return false;
+  if (ctx.noCraftedBestEffort && !it.identifier) return false;
+  const bonus = effBonus(it, ctx.rollMode, ctx.ruleset);
+  return bonus.every((v) => v >= 0) && bonus.some((v) => v > 0);
+}
+
+/**
+ * kind -> candidate tomes for the empty tome slots (the two best per skill), or null when there is nothing to pick.
+ */
+function tomePickPools(db, ctx, ruleset, lockedTomes) {
+  const free = freeTomeSlots(lockedTomes, ruleset);
+  const pools = new Map();
+  for (const it of db.bySlot.get("tome") ?? []) {
+    const kind = tomeSlotOf(it, ruleset);
+    if (!kind || !free[kind] || !tomeUsable(it, ctx)) continue;
+    if (!pools.has(kind)) pools.set(kind, []);
+    pools.get(kind).push(it);
+  }
+  for (const [kind, list] of pools) {
+    const keep = new Set();
+    for (let k = 0; k < 5; k++) {
+      list
+        .filter((it) => effBonus(it, ctx.rollMode, ruleset)[k] > 0)
+        .sort((a, b) => effBonus(b, ctx.rollMode, ruleset)[k] - effBonus(a, ctx.rollMode, ruleset)[k])
+        .slice(0, 2)
+        .forEach((it) => keep.add(it));
+    }
+    pools.set(kind, Array.from(keep));
+  }
+  return pools.size ? { pools, free } : null;
+}
+
+function majorIdsOf(it) {
+  return (it.majorIds ?? []).map((m) => m.toLowerCase());
+}
+
 function scoreCandidate(it, ctx) {
   let score = 0;
 
+  // keep carriers of a required major ID inside the capped pools
+  if (ctx.requiredMajorIds?.some((m) => majorIdsOf(it).includes(m))) score += 1000;
+
   score -= (it.levelReq ?? 0) * 1.5;
-  score -= negSumArr(it.bonusArr ?? emptyArr()) * 8;
+  score -= negSumArr(bonusFor(it, ctx.rollMode) ?? emptyArr()) * 8;
 
   if (ctx.mustGiveStat != null) {
     const idx = ctx.mustGiveStat;
     const statBonus = it.slot === "weapon"
-      ? (it.bonusArr?.[idx] ?? 0)
-      : (it.bonusEffArr?.[idx] ?? 0);
+      ? (bonusFor(it, ctx.rollMode)?.[idx] ?? 0)
+      : (effBonus(it, ctx.rollMode, ctx.ruleset)?.[idx] ?? 0);
     if (statBonus > 0) score += 25 + statBonus * 4;
   }
 
+  // set members: credit a per-piece share of the full set's skill bonus
+  if (it.set?.tiers?.length) {
+    const full = it.set.tiers[it.set.tiers.length - 1];
+    const share = full.bonusArr.reduce((s, v) => s + v, 0) / Math.max(1, full.count);
+    score += share * 4;
+  }
+
   if (ctx.class) {
     if (it.classReq && it.classReq === ctx.class) score += 8;
     if (it.slot === "weapon") {
-      const wanted = weaponTypeForClass(ctx.class);
+      const wanted = weaponTypeForClass(ctx.class, ctx.ruleset);
       if (wanted && it.weaponType === wanted) score += 15;
     }
   }
@@ -64,9 +124,115 @@ function scoreCandidate(it, ctx) {
   return score;
 }
 
+// with weighted objectives the pools keep the items that add the most to them
+// (required major ID carriers still come first); scoreCandidate breaks ties
+function compareCandidates(a, b, ctx) {
+  const weights = ctx.objective?.weights;
+  if (weights && Object.keys(weights).length) {
+    const carries = (it) => (ctx.requiredMajorIds?.some((m) => majorIdsOf(it).includes(m)) ? 1 : 0);
+    const d = (carries(b) - carries(a)) || (itemObjective(b, weights, ctx.rollMode) - itemObjective(a, weights, ctx.rollMode));
+    if (d) return d;
+  }
+  return scoreCandidate(b, ctx) - scoreCandidate(a, ctx);
+}
+
+// ranking: weighted objective (when given), then remaining SP, then negative tradeoffs, then final spend
+function betterScore(sc, b) {
+  if (sc.objective != null && sc.objective !== b.objective) return sc.objective > b.objective;
+  if (sc.remaining !== b.remaining) return sc.remaining > b.remaining;
+  if (sc.neg !== b.neg) return sc.neg < b.neg;
+  return sc.finalSpend < b.finalSpend;
+}
+
+// an owned copy is told apart from the DB item and other copies of the same name
+const copyKey = (it) => `${it.slot}\u0000${it.owned ? `owned:${it.owned.id}` : it.name}`;
+
+// gear slots in which two builds differ (rings compared as a pair, tomes ignored)
+function slotDifference(a, b) {
+  const left = new Map();
+  for (const it of a) {
+    if (it.slot === "tome") continue;
+    const key = copyKey(it);
+    left.set(key, (left.get(key) ?? 0) + 1);
+  }
+  let diff = 0;
+  for (const it of b) {
+    if (it.slot === "tome") continue;
+    const key = copyKey(it);
+    if (left.get(key)) left.set(key, left.get(key) - 1);
+    else diff += 1;
+  }
+  return diff;
+}
+
+/**
+ * Bounded set of the best builds seen: the `limit` best by betterScore, or with `axis` the Pareto front
+ * of entry.axis = [x, y] (both maximized). With `diversity`, kept builds differ in at least that many slots;
+ * of two builds that are too alike the better one stays.
+ */
+class ResultSet {
+  constructor({ limit = 1, axis = null, diversity = 0 } = {}) {
+    this.limit = limit;
+    this.axis = axis;
+    this.diversity = diversity;
+    this.entries = [];
+  }
+
+  tooAlike(a, b) {
+    return this.diversity > 0 && slotDifference(a.items, b.items) < this.diversity;
+  }
+
+  add(entry) {
+    // the same build can come up again (local search, then the exact search)
+    if (this.entries.some((o) => slotDifference(o.items, entry.items) === 0)) return false;
+    const alike = this.entries.filter((o) => this.tooAlike(o, entry));
+    if (alike.some((o) => !betterScore(entry.score, o.score))) return false;
+
+    if (this.axis) {
+      if (this.entries.some((o) => dominates(o, entry))) return false;
+      this.entries = this.entries.filter((o) => !dominates(entry, o) && !alike.includes(o));
+    } else {
+      const full = this.entries.length >= this.limit;
+      if (full && !alike.length && !betterScore(entry.score, this.entries[this.entries.length - 1].score)) return false;
+      this.entries = this.entries.filter((o) => !alike.includes(o));
+    }
+
+    const at = this.entries.findIndex((o) => betterScore(entry.score, o.score));
+    this.entries.splice(at < 0 ? this.entries.length : at, 0, entry);
+    if (this.entries.length > this.limit) this.entries.length = this.limit;
+    return true;
+  }
+
+  /** could a build scoring `score` (at `axis`) still get in? False means no build scoring at most that can. */
+  canImprove(score, axis) {
+    if (this.axis) return !this.entries.some((o) => dominates(o, { score, axis }));
+    if (this.entries.length < this.limit) return true;
+    return betterScore(score, this.entries[this.entries.length - 1].score);
+  }
+
+  best() {
+    return this.entries[0] ?? null;
+  }
+
+  /** best first; a Pareto front runs from the highest x down */
+  list() {
+    return this.axis ? this.entries.slice().sort((a, b) => b.axis[0] - a.axis[0] || b.axis[1] - a.axis[1]) : this.entries.slice();
+  }
+}
+
+function dominates(a, b) {
+  const [ax, ay] = a.axis;
+  const [bx, by] = b.axis;
+  return ax >= bx && ay >= by && (ax > bx || ay > by || !betterScore(b.score, a.score));
+}
+
 export function solveBuild(db, ctx) {
-  // ctx: { level, class, budget, lockedBySlot, tomes[], constraints..., objective... }
+  // ctx: { level, class, budget, rollMode, ruleset, lockedBySlot, tomes[], constraints..., objective... }
   // lockedBySlot: { helmet: item|null, ..., ring1, ring2 }
+  const started = performance.now();
+  const elapsed = () => performance.now() - started;
+  const ruleset = ctx.ruleset ?? DEFAULT_RULESET;
+  const dupRings = ruleset.allowDuplicateRings;
   const lockedItems = [];
   const chosenNames = new Set();
 
@@ -81,20 +247,52 @@ export function solveBuild(db, ctx) {
   if (ring1) { lockedItems.push(ring1); chosenNames.add(ring1.name); }
   if (ring2) { lockedItems.push(ring2); chosenNames.add(ring2.name); }
 
-  for (const t of (ctx.tomes ?? [])) {
-    if (!chosenNames.has(t.name)) { lockedItems.push(t); chosenNames.add(t.name); }
+  // selected tomes are validated by the caller; the same tome may fill several slots
+  for (const t of (ctx.tomes ?? [])) lockedItems.push(t);
+
+  // ctx.pickTomes: fill empty tome slots when that frees skill points (greedy, at each complete build).
+  const tomePick = ctx.pickTomes ? tomePickPools(db, ctx, ruleset, ctx.tomes ?? []) : null;
+
+  function addTomes(items) {
+    const out = items.slice();
+    const picked = [];
+    const free = { ...tomePick.free };
+    let spend = minFinalSpend(out, ctx.rollMode, ruleset);
+    while (spend > 0) {
+      let pick = null;
+      for (const [kind, pool] of tomePick.pools) {
+        if (!free[kind]) continue;
+        for (const t of pool) {
+          out.push(t);
+          const s = minFinalSpend(out, ctx.rollMode, ruleset);
+          out.pop();
+          if (s < (pick?.spend ?? spend)) pick = { t, kind, spend: s };
+        }
+      }
+      if (!pick) break;
+      out.push(pick.t);
+      picked.push(pick.t);
+      free[pick.kind] -= 1;
+      spend = pick.spend;
+    }
+    return { items: out, picked };
   }
 
-  // build pools
+  // build pools; ctx.ownedItems (owned instances with exact rolls) compete with the DB items of their slot
   const pools = new Map();
+  const lockedOwned = new Set(lockedItems.filter((it) => it.owned).map((it) => it.owned.id));
+  const candidatesFor = (slot) => (db.bySlot.get(slot) ?? [])
+    .concat((ctx.ownedItems ?? []).filter((it) => it.slot === slot && !lockedOwned.has(it.owned.id)));
+  // an owned copy can only be worn once, even where duplicate rings are allowed
+  const sameCopy = (a, b) => a === b && a.owned != null;
 
   for (const slot of ["helmet","chestplate","leggings","boots","necklace","bracelet","weapon"]) {
     if (locked[slot]) continue;
     const cap = ctx.poolCap ?? 80;
-    const pool = (db.bySlot.get(slot) ?? [])
+    const pool = candidatesFor(slot)
       .filter((it) => !chosenNames.has(it.name))
       .filter((it) => passesBaseFilters(it, ctx))
-      .sort((a, b) => scoreCandidate(b, ctx) - scoreCandidate(a, ctx))
+      .sort((a, b) => compareCandidates(a, b, ctx))
       .slice(0, cap); // hard cap for performance
     pools.set(slot, pool);
   }
@@ -102,10 +300,10 @@ export function solveBuild(db, ctx) {
   // rings (two picks) if not locked
   if (!ring1 || !ring2) {
     const ringCap = ctx.ringPoolCap ?? 120;
-    const pool = (db.bySlot.get("ring") ?? [])
-      .filter((it) => !chosenNames.has(it.name))
+    const pool = candidatesFor("ring")
+      .filter((it) => dupRings || !chosenNames.has(it.name))
       .filter((it) => passesBaseFilters(it, ctx))
-      .sort((a, b) => scoreCandidate(b, ctx) - scoreCandidate(a, ctx))
+      .sort((a, b) => compareCandidates(a, b, ctx))
       .slice(0, ringCap);
     pools.set("ring", pool);
   }
@@ -113,53 +311,307 @@ export function solveBuild(db, ctx) {
   // slot ordering: smallest pool first
   const slotsToFill = Array.from(pools.keys()).sort((a, b) => (pools.get(a).length - pools.get(b).length));
 
-  let best = null;
+  // required major IDs: what slots i.. can still provide, so branches that cannot satisfy them are cut early
+  const required = ctx.requiredMajorIds ?? [];
+  const providedFrom = slotsToFill.map(() => new Set());
+  for (let i = slotsToFill.length - 1; i >= 0; i--) {
+    const later = providedFrom[i + 1] ?? new Set();
+    for (const m of later) providedFrom[i].add(m);
+    for (const it of pools.get(slotsToFill[i])) {
+      for (const m of majorIdsOf(it)) providedFrom[i].add(m);
+    }
+  }
+  const lockedMajorIds = new Set(lockedItems.flatMap(majorIdsOf));
+  const unavailableMajorIds = required.filter((m) => !lockedMajorIds.has(m) && !(providedFrom[0]?.has(m)));
+  if (unavailableMajorIds.length) {
+    return {
+      best: null, results: [], truncated: false, timedOut: false, nodesVisited: 0, maxNodes: ctx.maxNodes ?? Infinity,
+      elapsedMs: Math.round(elapsed()), timeline: [], unavailableMajorIds,
+    };
+  }
+
+  function missingMajorIdsReachable(i, items) {
+    if (!required.length) return true;
+    const have = new Set(items.flatMap(majorIdsOf));
+    return required.every((m) => have.has(m) || (providedFrom[i]?.has(m) ?? false));
+  }
+
+  // ctx.topK best builds (default 1), or with ctx.pareto the front of remaining SP vs that axis
+  // ("neg": fewer negative tradeoffs, "objective": the weighted objective, else a build stat); ctx.diversity: min slots apart
+  const results = new ResultSet({
+    limit: Math.max(1, ctx.topK ?? (ctx.pareto ? 20 : 1)),
+    axis: ctx.pareto ?? null,
+    diversity: ctx.diversity ?? 0,
+  });
+  const paretoAxis = (sc, stats) => {
+    if (ctx.pareto === "neg") return [sc.remaining, 0 - sc.neg]; // no -0
+    if (ctx.pareto === "objective") return [sc.remaining, sc.objective ?? 0];
+    return [sc.remaining, stats[ctx.pareto]];
+  };
+
+  // Branch and bound. reach[i] is the most slots i.. (and empty tome slots) can still add: per skill and
+  // requirement ceiling the best bonus of each slot's pool, plus what tomes and sets can add; the fewest negative
+  // tradeoffs; the best objective share and the best of each tracked stat. A partial build plus reach[i] bounds
+  // every completion, so branches whose bound cannot get into the results are cut, and candidates are tried
+  // best bound first.
+  const weights = ctx.objective?.weights ?? null;
+  const minStats = Object.entries(ctx.objective?.minStats ?? {});
+  const trackedStats = Array.from(new Set(minStats.map(([stat]) => stat)
+    .concat(ctx.pareto && ctx.pareto !== "neg" && ctx.pareto !== "objective" ? [ctx.pareto] : [])));
+  const ringsNeeded = (ring1 ? 0 : 1) + (ring2 ? 0 : 1);
+
+  const topOf = (list, f) => list.reduce((m, it) => Math.max(m, f(it)), -Infinity);
+  const reqIndex = (r) => Math.max(0, Math.ceil(r));
+  const tomeCandidates = Array.from(tomePick?.pools.values() ?? []).flat();
+  const maxReqIndex = reqIndex(Math.max(0, ...lockedItems.concat(...pools.values(), tomeCandidates).flatMap((it) => it.reqArr)));
+
+  // per skill k and requirement ceiling T: the most `picks` items of `pool` needing at most T in k add to k
+  function skillReach(pool, picks) {
+    return emptyArr().map((_, k) => {
+      const byReq = new Map();
+      for (const it of pool) {
+        const t = reqIndex(it.reqArr[k]);
+        if (!byReq.has(t)) byReq.set(t, []);
+        byReq.get(t).push(effBonus(it, ctx.rollMode, ruleset)[k]);
+      }
+      const out = new Float64Array(maxReqIndex + 1);
+      const top = [];
+      for (let t = 0; t <= maxReqIndex; t++) {
+        for (const v of byReq.get(t) ?? []) {
+          top.push(v);
+          top.sort((x, y) => y - x);
+          top.length = Math.min(top.length, picks);
+        }
+        // with duplicate rings the best ring may be worn twice
+        out[t] = top.length && (dupRings || top.length === picks)
+          ? top.reduce((sum, v) => sum + v, 0) + (picks - top.length) * top[0]
+          : -Infinity;
+      }
+      return out;
+    });
+  }
+  function slotReach(pool, picks) {
+    const negs = pool.map((it) => negSumArr(bonusFor(it, ctx.rollMode))).sort((a, b) => a - b);
+    return {
+      bonusByReq: skillReach(pool, picks),
+      // fewest negative tradeoffs `picks` items can bring
+      neg: dupRings ? (negs[0] ?? Infinity) * picks : negs.slice(0, picks).reduce((sum, v) => sum + v, negs.length < picks ? Infinity : 0),
+      objective: weights ? topOf(pool, (it) => itemObjective(it, weights, ctx.rollMode)) * picks : 0,
+      stats: Object.fromEntries(trackedStats.map((stat) => [stat, topOf(pool, (it) => itemStat(it, stat, ctx.rollMode)) * picks])),
+    };
+  }
+  const sumReach = (a, b) => ({
+    bonusByReq: a.bonusByReq.map((arr, k) => arr.map((v, t) => v + b.bonusByReq[k][t])),
+    neg: a.neg + b.neg,
+    objective: a.objective + b.objective,
+    stats: Object.fromEntries(trackedStats.map((stat) => [stat, a.stats[stat] + b.stats[stat]])),
+  });
+  // a set's bonus can still move by at most (best tier) - (worst tier) per skill
+  const setSlack = (set) => {
+    const tiers = set.tiers ?? [];
+    return emptyArr().map((_, k) => Math.max(0, ...tiers.map((t) => t.bonusArr[k])) - Math.min(0, ...tiers.map((t) => t.bonusArr[k])));
+  };
+  // ready for bound(): flat bonus (tomes, set slack), and per skill min over T >= R of (T - bonusByReq[T])
+  function finishReach(r, flat) {
+    const bestNeed = r.bonusByReq.map((arr) => {
+      const out = new Float64Array(arr.length);
+      let min = Infinity;
+      for (let t = arr.length - 1; t >= 0; t--) {
+        min = Math.min(min, t - arr[t]);
+        out[t] = min;
+      }
+      return out;
+    });
+    return { ...r, flat, bestNeed, maxBonus: r.bonusByReq.map((arr) => arr[arr.length - 1]) };
+  }
+
+  const noSkillReach = () => emptyArr().map(() => new Float64Array(maxReqIndex + 1));
+  const nothingLeft = finishReach({ bonusByReq: noSkillReach(), neg: 0, objective: 0, stats: Object.fromEntries(trackedStats.map((stat) => [stat, 0])) }, emptyArr());
+  // tomes are optional and need no skill points: an empty tome slot adds nothing
+  let tomeBonus = emptyArr();
+  let tail = { bonusByReq: noSkillReach(), neg: 0, objective: 0, stats: nothingLeft.stats };
+  for (const [kind, pool] of tomePick?.pools ?? []) {
+    const best = pool.reduce((acc, it) => maxArr(acc, effBonus(it, ctx.rollMode, ruleset)), emptyArr());
+    tomeBonus = addArr(tomeBonus, best.map((v) => v * tomePick.free[kind]));
+    tail = {
+      ...tail,
+      objective: tail.objective + Math.max(0, weights ? topOf(pool, (it) => itemObjective(it, weights, ctx.rollMode)) : 0) * tomePick.free[kind],
+      stats: Object.fromEntries(trackedStats.map((stat) => [stat, tail.stats[stat] + Math.max(0, topOf(pool, (it) => itemStat(it, stat, ctx.rollMode))) * tomePick.free[kind]])),
+    };
+  }
+
+  // gear: reach of the slots alone; slack: what the sets in those slots' pools can still change
+  const reach = new Array(slotsToFill.length + 1);
+  reach[slotsToFill.length] = finishReach(tail, tomeBonus);
+  let gear = tail;
+  let slack = emptyArr();
+  const seenSets = new Set();
+  let oneRingLeft = null; // halfway through the ring slot: one ring still to pick
+  for (let i = slotsToFill.length - 1; i >= 0; i--) {
+    const slot = slotsToFill[i];
+    const pool = pools.get(slot);
+    for (const it of pool) {
+      if (!it.set || seenSets.has(it.set)) continue;
+      seenSets.add(it.set);
+      slack = addArr(slack, setSlack(it.set));
+    }
+    const flat = addArr(tomeBonus, slack);
+    if (slot === "ring" && ringsNeeded === 2) oneRingLeft = finishReach(sumReach(gear, slotReach(pool, 1)), flat);
+    gear = sumReach(gear, slotReach(pool, slot === "ring" ? ringsNeeded : 1));
+    reach[i] = finishReach(gear, flat);
+  }
+
+  // what one item adds to a build's totals; the same items come up at every node, so it is worked out once
+  const itemFacts = new Map();
+  function factsOf(it) {
+    let f = itemFacts.get(it);
+    if (!f) {
+      f = {
+        eff: effBonus(it, ctx.rollMode, ruleset),
+        neg: negSumArr(bonusFor(it, ctx.rollMode)),
+        objective: weights ? itemObjective(it, weights, ctx.rollMode) : 0,
+        stats: trackedStats.map((stat) => itemStat(it, stat, ctx.rollMode)),
+      };
+      itemFacts.set(it, f);
+    }
+    return f;
+  }
+
+  // running totals of a partial build (bonus includes set bonuses), extended one item at a time
+  const noTotals = { maxReq: emptyArr(), bonus: emptyArr(), setPieces: new Map(), neg: 0, objective: 0, stats: trackedStats.map(() => 0) };
+  function withItem(t, it) {
+    const f = factsOf(it);
+    let bonus = addArr(t.bonus, f.eff);
+    let setPieces = t.setPieces;
+    if (it.set) {
+      // the set's bonus moves up from the tier at n pieces to the tier at n + 1
+      const n = setPieces.get(it.set) ?? 0;
+      const tierArr = (pieces) => setTierFor(it.set, pieces)?.bonusArr ?? emptyArr();
+      const [from, to] = [tierArr(n), tierArr(n + 1)];
+      bonus = bonus.map((v, k) => v + to[k] - from[k]);
+      setPieces = new Map(setPieces).set(it.set, n + 1);
+    }
+    return {
+      maxReq: maxArr(t.maxReq, it.reqArr), bonus, setPieces, neg: t.neg + f.neg,
+      objective: t.objective + f.objective, stats: t.stats.map((v, j) => v + f.stats[j]),
+    };
+  }
+  const totalsOf = (items) => items.reduce(withItem, noTotals);
+
+  /**
+   * Best score any completion of the partial build with `totals` and `r` still to come could get.
+   * Per skill, every later item needs at most some T; the spend is then at least
+   * max(current need, T) - bonus so far - the most later items needing at most T can add, at the best T.
+   * -> { ok, score, axis? } (ok: within budget and able to meet the hard constraints)
+   */
+  function bound(totals, r) {
+    const { maxReq } = totals;
+    const bonus = addArr(totals.bonus, r.flat);
+    let finalSpend = 0;
+    let spendNow = 0;
+    for (let k = 0; k < 5; k++) {
+      const t = Math.min(reqIndex(maxReq[k]), maxReqIndex);
+      // T up to the current need keeps that need; a higher T costs T itself
+      finalSpend += Math.max(0, Math.min(maxReq[k] - r.bonusByReq[k][t], r.bestNeed[k][t]) - bonus[k]);
+      spendNow += Math.max(0, maxReq[k] - bonus[k]);
+    }
+    const score = { remaining: ctx.budget - finalSpend, neg: totals.neg + r.neg, finalSpend };
+    if (ctx.objective) score.objective = totals.objective + r.objective;
+    const stats = Object.fromEntries(trackedStats.map((stat, j) => [stat, totals.stats[j] + r.stats[stat]]));
+
+    const ok = score.remaining >= 0 &&
+      !(ctx.noNegativeNetSkillBonuses && bonus.some((v, k) => v + r.maxBonus[k] < 0)) &&
+      minStats.every(([stat, min]) => stats[stat] >= min);
+    return { ok, score, spendNow, ...(ctx.pareto ? { axis: paretoAxis(score, stats) } : {}) };
+  }
+
+  // bound that could still get into the results
+  const promising = (b) => b.ok && results.canImprove(b.score, b.axis);
+
+  // best bound first, then the lowest spend so far (to reach good builds early)
+  const byBound = (x, y) => (betterScore(x.b.score, y.b.score) ? -1 : betterScore(y.b.score, x.b.score) ? 1 : x.b.spendNow - y.b.spendNow);
+
+  // candidates whose bound is promising, best bound first, each with the totals once it is added to `t`
+  function ranked(pool, t, r, usable) {
+    const out = [];
+    for (const cand of pool) {
+      if (!usable(cand)) continue;
+      const withCand = withItem(t, cand);
+      const b = bound(withCand, r);
+      if (promising(b)) out.push({ cand, b, t: withCand });
+    }
+    return out.sort(byBound);
+  }
+
   const maxNodes = Number.isFinite(Number(ctx.maxNodes)) ? Math.max(1, Math.floor(Number(ctx.maxNodes))) : Infinity;
   let nodesVisited = 0;
   let truncated = false;
+  const progress = () => ctx.onProgress?.({ nodesVisited, maxNodes, best: results.best()?.score ?? null });
+
+  // ctx.timeLimitMs: stop when it runs out and return the best build so far
+  const timeLimit = ctx.timeLimitMs ?? Infinity;
+  let timedOut = false;
+  const outOfTime = () => timedOut || (timedOut = elapsed() >= timeLimit);
+  // nodes or time used up: the search stops where it is and reports truncated
+  function outOfBudget() {
+    if (nodesVisited < maxNodes && !outOfTime()) return false;
+    truncated = true;
+    return true;
+  }
+
+  // each time the best build improves: { ms, phase: "greedy" | "local" | "search", remaining, neg, objective? }
+  const timeline = [];
+  function record(entry, phase) {
+    const before = results.best();
+    if (!results.add(entry)) return;
+    progress();
+    if (results.best() === before) return;
+    const { remaining, neg, objective } = results.best().score;
+    timeline.push({ ms: Math.round(elapsed()), phase, remaining, neg, ...(ctx.objective ? { objective } : {}) });
+  }
 
-  function scoreBuild(items) {
-    const st = computeBuildStats(items, ctx.budget, { perSkillCap: 100 });
+  function scoreBuild(items, st) {
     // objective: maximize remaining, then minimize negative tradeoffs
-    const neg = items.reduce((s, it) => s + negSumArr(it.bonusArr), 0);
-    return { remaining: st.remainingSP, neg, finalSpend: st.finalSpend, equipOrderOk: st.equipOrderOk, netBonus: st.netBonus };
+    const neg = items.reduce((s, it) => s + negSumArr(bonusFor(it, ctx.rollMode)), 0);
+    const sc = { remaining: st.remainingSP, neg, finalSpend: st.finalSpend, equipOrderOk: st.equipOrderOk, netBonus: st.netBonus };
+    if (ctx.objective) {
+      const stats = {};
+      for (const stat of new Set(Object.keys(ctx.objective.weights).concat(Object.keys(ctx.objective.minStats)))) {
+        stats[stat] = buildStat(items, stat, ctx.rollMode);
+      }
+      sc.objective = objectiveValue(items, ctx.objective.weights, ctx.rollMode);
+      sc.stats = stats;
+    }
+    return sc;
   }
 
-  function violatesNetNegative(items) {
-    if (!ctx.noNegativeNetSkillBonuses) return false;
-    const net = items.reduce((acc, it) => addArr(acc, it.bonusEffArr), emptyArr());
-    return net.some((v) => v < 0);
+  // a complete build (gear and locked tomes) -> its result entry, or null when it is invalid or cannot get in
+  function evaluate(gear) {
+    if (!missingMajorIdsReachable(slotsToFill.length, gear)) return null;
+    const { items, picked } = tomePick ? addTomes(gear) : { items: gear, picked: [] };
+    // exact without reach; checked before the equip-order DP
+    const exact = bound(totalsOf(items), nothingLeft);
+    if (!promising(exact)) return null;
+
+    const st = computeBuildStats(items, ctx.budget, { rollMode: ctx.rollMode, ruleset });
+    if (!st.equipOrderOk) return null;
+
+    const entry = { items: items.slice(), score: scoreBuild(items, st), pickedTomes: picked };
+    if (ctx.pareto) entry.axis = exact.axis;
+    return entry;
   }
 
-  function rec(i, currentItems, usedNames) {
-    if (nodesVisited >= maxNodes) {
-      truncated = true;
-      return;
-    }
+  function rec(i, currentItems, usedNames, totals) {
+    if (outOfBudget()) return;
     nodesVisited += 1;
+    if (nodesVisited % PROGRESS_EVERY === 0) progress();
 
-    // prune: final budget lower bound (minFinalSpend) must be <= budget
-    const stNow = computeBuildStats(currentItems, ctx.budget, { perSkillCap: 100 });
-    if (stNow.finalSpend > ctx.budget) return;
-    if (violatesNetNegative(currentItems)) return;
+    if (!promising(bound(totals, reach[i]))) return;
+    if (!missingMajorIdsReachable(i, currentItems)) return;
 
     if (i === slotsToFill.length) {
-      // final validity
-      if (stNow.remainingSP < 0) return;
-      if (!stNow.equipOrderOk) return;
-
-      const sc = scoreBuild(currentItems);
-      if (sc.remaining < 0) return;
-
-      if (!best) best = { items: currentItems.slice(), score: sc };
-      else {
-        const b = best.score;
-        if (sc.remaining > b.remaining ||
-            (sc.remaining === b.remaining && sc.neg < b.neg) ||
-            (sc.remaining === b.remaining && sc.neg === b.neg && sc.finalSpend < b.finalSpend)) {
-          best = { items: currentItems.slice(), score: sc };
-        }
-      }
+      const entry = evaluate(currentItems);
+      if (entry) record(entry, "search");
       return;
     }
 
@@ -167,11 +619,11 @@ export function solveBuild(db, ctx) {
     const pool = pools.get(slot) ?? [];
 
     if (slot !== "ring") {
-      for (const cand of pool) {
-        if (usedNames.has(cand.name)) continue;
+      for (const { cand, b, t } of ranked(pool, totals, reach[i + 1], (it) => !usedNames.has(it.name))) {
+        if (!promising(b)) continue;
         usedNames.add(cand.name);
         currentItems.push(cand);
-        rec(i + 1, currentItems, usedNames);
+        rec(i + 1, currentItems, usedNames, t);
         currentItems.pop();
         usedNames.delete(cand.name);
       }
@@ -183,47 +635,152 @@ export function solveBuild(db, ctx) {
     const needR2 = !ring2;
 
     if (!needR1 && !needR2) {
-      rec(i + 1, currentItems, usedNames);
+      rec(i + 1, currentItems, usedNames, totals);
       return;
     }
 
+    // with allowDuplicateRings, rings skip the used-name bookkeeping entirely
+    const usableRing = (r) => dupRings || !usedNames.has(r.name);
+    const takeRing = (r) => {
+      if (!dupRings) usedNames.add(r.name);
+    };
+    const releaseRing = (r) => {
+      if (!dupRings) usedNames.delete(r.name);
+    };
+
     if (needR1 && needR2) {
-      for (let a = 0; a < pool.length; a++) {
-        const rA = pool[a];
-        if (usedNames.has(rA.name)) continue;
-        usedNames.add(rA.name);
+      // pairs are taken in ranked order (b from a on), so each unordered pair comes up once
+      const firsts = ranked(pool, totals, oneRingLeft, usableRing);
+      for (let a = 0; a < firsts.length; a++) {
+        const { cand: rA, b: boundA, t: withA } = firsts[a];
+        if (!promising(boundA)) continue;
+        takeRing(rA);
         currentItems.push(rA);
 
-        for (let b = a + 1; b < pool.length; b++) {
-          const rB = pool[b];
-          if (usedNames.has(rB.name)) continue;
-          usedNames.add(rB.name);
+        for (let b = dupRings ? a : a + 1; b < firsts.length; b++) {
+          const rB = firsts[b].cand;
+          if (!usableRing(rB) || sameCopy(rA, rB)) continue;
           currentItems.push(rB);
-
-          rec(i + 1, currentItems, usedNames);
-
+          const withB = withItem(withA, rB);
+          if (promising(bound(withB, reach[i + 1]))) {
+            takeRing(rB);
+            rec(i + 1, currentItems, usedNames, withB);
+            releaseRing(rB);
+          }
           currentItems.pop();
-          usedNames.delete(rB.name);
         }
 
         currentItems.pop();
-        usedNames.delete(rA.name);
+        releaseRing(rA);
       }
       return;
     }
 
     // only one ring needed
-    for (const r of pool) {
-      if (usedNames.has(r.name)) continue;
-      usedNames.add(r.name);
+    for (const { cand: r, b, t } of ranked(pool, totals, reach[i + 1], usableRing)) {
+      if (!promising(b)) continue;
+      takeRing(r);
       currentItems.push(r);
-      rec(i + 1, currentItems, usedNames);
+      rec(i + 1, currentItems, usedNames, t);
       currentItems.pop();
-      usedNames.delete(r.name);
+      releaseRing(r);
     }
+  }
+
+  // A build to prune against first: a greedy build, improved by one- and two-slot swaps while they help.
+  // Without one, best bound first can spend long in over-budget branches before it finds any build.
+  // With ctx.timeLimitMs it is also the answer when time runs out during the search.
+  // positions: one per item still to pick, with the reach once it is picked
+  const positions = slotsToFill.flatMap((slot, i) => {
+    const pool = pools.get(slot);
+    if (slot !== "ring") return [{ pool, r: reach[i + 1] }];
+    return ringsNeeded === 2 ? [{ pool, r: oneRingLeft }, { pool, r: reach[i + 1] }] : [{ pool, r: reach[i + 1] }];
+  });
+  const clashes = (cand, picks, at) => picks.some((p, j) => j !== at &&
+    (sameCopy(p, cand) || (!(dupRings && cand.slot === "ring") && p.name === cand.name)));
+  const withPick = (picks, at, cand) => picks.map((p, j) => (j === at ? cand : p));
+  // each complete build tried here counts as a node, so maxNodes bounds this work as well
+  function trySeed(picks) {
+    nodesVisited += 1;
+    return evaluate(lockedItems.concat(picks));
+  }
+
+  // the first candidate by `order` for each position in turn, no backtracking -> its build's entry or null
+  function greedy(order) {
+    // no time check: even timeLimitMs: 0 gets the greedy build
+    if (nodesVisited >= maxNodes) return null;
+    const picks = [];
+    let totals = totalsOf(lockedItems);
+    for (const { pool, r } of positions) {
+      const first = ranked(pool, totals, r, (cand) => !clashes(cand, picks, -1)).sort(order)[0];
+      if (!first) return null;
+      picks.push(first.cand);
+      totals = first.t;
+    }
+    const entry = trySeed(picks);
+    return entry && { picks, entry };
+  }
+
+  // first-improvement hill climbing: every one-slot swap, then two-slot swaps among each slot's shortlist
+  function localSearch(picks, current) {
+    const improves = (trial) => {
+      const entry = trySeed(trial);
+      if (!entry) return false;
+      record(entry, "local");
+      if (!betterScore(entry.score, current.score)) return false;
+      picks = trial;
+      current = entry;
+      return true;
+    };
+
+    let improved = true;
+    while (improved && !outOfBudget()) {
+      improved = false;
+      for (let p = 0; p < positions.length; p++) {
+        for (const cand of positions[p].pool) {
+          if (outOfBudget()) return;
+          if (cand === picks[p] || clashes(cand, picks, p)) continue;
+          if (improves(withPick(picks, p, cand))) improved = true;
+        }
+      }
+      if (improved) continue;
+
+      // shortlist: the candidates whose one-slot swap alone bounds best
+      const shortlist = positions.map(({ pool }, p) => pool
+        .filter((cand) => cand !== picks[p])
+        .map((cand) => ({ cand, b: bound(totalsOf(lockedItems.concat(withPick(picks, p, cand))), nothingLeft) }))
+        .sort(byBound)
+        .slice(0, SWAP_SHORTLIST)
+        .map(({ cand }) => cand));
+      pairs: for (let p = 0; p < positions.length; p++) {
+        for (let q = p + 1; q < positions.length; q++) {
+          for (const a of shortlist[p]) {
+            for (const c of shortlist[q]) {
+              if (outOfBudget()) return;
+              const trial = withPick(withPick(picks, p, a), q, c);
+              if (clashes(a, trial, p) || clashes(c, trial, q)) continue;
+              if (improves(trial)) {
+                improved = true;
+                break pairs;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // best bound first can overshoot the budget; the lowest spend first rarely does
+  const seed = greedy(byBound) ?? greedy((x, y) => x.b.spendNow - y.b.spendNow || byBound(x, y));
+  if (seed) {
+    record(seed.entry, "greedy");
+    localSearch(seed.picks, seed.entry);
   }
 
-  rec(0, lockedItems.slice(), new Set(chosenNames));
+  rec(0, lockedItems.slice(), new Set(chosenNames), totalsOf(lockedItems));
 
-  return { best, truncated, nodesVisited, maxNodes };
+  return {
+    best: results.best(), results: results.list(), truncated, timedOut, nodesVisited, maxNodes,
+    elapsedMs: Math.round(elapsed()), timeline, unavailableMajorIds: [],
+  };
 }
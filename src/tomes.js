@@ -0,0 +1,57 @@
+import { DEFAULT_RULESET } from "./ruleset.js";
+
+// Tome slots: each tome's tomeType maps to a slot kind (ruleset.tomeTypes) and every kind holds
+// ruleset.tomeSlots[kind] tomes. The same tome may fill several slots of its kind.
+
+/** Tome slot kind of a tome item, or null when the ruleset has no slot for its type. */
+export function tomeSlotOf(it, ruleset = DEFAULT_RULESET) {
+  if (it?.slot !== "tome" || !it.tomeType) return null;
+  return ruleset.tomeTypes[it.tomeType] ?? null;
+}
+
+/** { [kind]: { used, capacity } } for the given tomes. */
+export function tomeUsage(tomes, ruleset = DEFAULT_RULESET) {
+  const usage = {};
+  for (const [kind, capacity] of Object.entries(ruleset.tomeSlots)) usage[kind] = { used: 0, capacity };
+  for (const it of tomes) {
+    const kind = tomeSlotOf(it, ruleset);
+    if (kind) usage[kind].used += 1;
+  }
+  return usage;
+}
+
+/** { [kind]: slots still empty } */
+export function freeTomeSlots(tomes, ruleset = DEFAULT_RULESET) {
+  const usage = tomeUsage(tomes, ruleset);
+  return Object.fromEntries(Object.entries(usage).map(([kind, u]) => [kind, Math.max(0, u.capacity - u.used)]));
+}
+
+function invalid(details, acceptedValues) {
+  return { ok: false, error: "Invalid tomes", details, ...(acceptedValues ? { acceptedValues } : {}) };
+}
+
+/**
+ * Selected tome names -> tome items that fit the ruleset's tome slots.
+ * { ok: true, items } | { ok: false, error, details, acceptedValues? }
+ */
+export function resolveTomes(names, byName, ruleset = DEFAULT_RULESET) {
+  if (names == null) return { ok: true, items: [] };
+  if (!Array.isArray(names)) return invalid("tomes must be a list of tome names");
+
+  const items = [];
+  for (const raw of names) {
+    const name = String(raw ?? "").trim();
+    const it = byName.get(name);
+    if (!it) return invalid(`${name || "(empty)"}: no such item`);
+    if (it.slot !== "tome") return invalid(`${name} is not a tome`);
+    if (!tomeSlotOf(it, ruleset)) {
+      return invalid(`${name}: tome type "${it.tomeType ?? "unknown"}" has no tome slot`, Object.keys(ruleset.tomeTypes));
+    }
+    items.push(it);
+  }
+
+  for (const [kind, u] of Object.entries(tomeUsage(items, ruleset))) {
+    if (u.used > u.capacity) return invalid(`${u.used} ${kind} tomes selected, only ${u.capacity} ${kind} tome slot(s)`);
+  }
+  return { ok: true, items };
+}
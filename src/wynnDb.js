@@ -1,9 +1,30 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { emptyArr } from "./compat.js";
+import { createDataSource } from "./dataSource.js";
+import { SnapshotStore } from "./snapshots.js";
+import { DataQualityCollector } from "./dataQuality.js";
+import { loadSetDefinitions, attachSets } from "./sets.js";
+import { CustomItemStore, rawFromCustomItem } from "./customItems.js";
+import { SearchIndex } from "./searchIndex.js";
+import { ItemCacheFile, writeFileAtomic } from "./itemCache.js";
 
-const DB_URL = "https://api.wynncraft.com/v3/item/database?fullResult=";
 const TTL_MS = 55 * 60 * 1000;
+const REFRESH_RETRY_MS = 5 * 60 * 1000; // after a failed background refresh
+
+export const ELEMENTS = ["earth", "thunder", "water", "fire", "air"]; // same order as SKILLS
+
+// hits per second used by the in-game average DPS figure
+const ATTACK_SPEED_HITS = {
+  superSlow: 0.51,
+  verySlow: 0.83,
+  slow: 1.5,
+  normal: 2.05,
+  fast: 2.5,
+  veryFast: 3.1,
+  superFast: 4.3,
+};
 
 function toNumAvg(v) {
   if (v == null) return 0;
@@ -15,13 +36,77 @@ function toNumAvg(v) {
   return 0;
 }
 
+const SKILL_ID_KEYS = ["rawStrength", "rawDexterity", "rawIntelligence", "rawDefence", "rawAgility"];
+
+function idRangeFrom(v) {
+  if (typeof v === "number") return { min: v, max: v, avg: v };
+  if (v && typeof v === "object") {
+    if (typeof v.min === "number" && typeof v.max === "number") return { min: v.min, max: v.max, avg: toNumAvg(v) };
+    if (typeof v.raw === "number") return { min: v.raw, max: v.raw, avg: v.raw };
+  }
+  return null;
+}
+
+function idsFromIdentifications(ids = {}) {
+  // every identification as { min, max, avg }; rawDefense is folded into rawDefence like bonusArr does
+  const out = {};
+  for (const [key, v] of Object.entries(ids)) {
+    const range = idRangeFrom(v);
+    if (!range) continue;
+    out[key === "rawDefense" ? "rawDefence" : key] = range;
+  }
+  return out;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function damageRange(v) {
+  if (v == null) return null;
+  if (typeof v === "number") return { min: v, max: v };
+  if (typeof v === "object" && typeof v.min === "number" && typeof v.max === "number") return { min: v.min, max: v.max };
+  if (typeof v === "object" && typeof v.raw === "number") return { min: v.raw, max: v.raw };
+  return null;
+}
+
+function damageFromBase(base = {}) {
+  // { neutral, earth, ... } -> { min, max }; elements the weapon lacks are left out
+  const out = {};
+  const neutral = damageRange(base.baseDamage);
+  if (neutral && (neutral.min || neutral.max)) out.neutral = neutral;
+  for (const el of ELEMENTS) {
+    const r = damageRange(base[`base${capitalize(el)}Damage`]);
+    if (r && (r.min || r.max)) out[el] = r;
+  }
+  return out;
+}
+
+function dpsFromDamage(damage, attackSpeed, averageDps) {
+  if (typeof averageDps === "number") return averageDps;
+  const hits = ATTACK_SPEED_HITS[attackSpeed] ?? 0;
+  let perHit = 0;
+  for (const r of Object.values(damage)) perHit += (r.min + r.max) / 2;
+  return Math.round(perHit * hits);
+}
+
+function baseDefArrFromBase(base = {}) {
+  return ELEMENTS.map((el) => toNumAvg(base[`base${capitalize(el)}Defence`] ?? base[`base${capitalize(el)}Defense`]));
+}
+
+function reqNum(v) {
+  // unparseable values count as no requirement; /api/data/quality lists them
+  const n = Number(v ?? 0);
+  return Number.isFinite(n) ? n : 0;
+}
+
 function reqArrFromReq(req = {}) {
   return [
-    Number(req.strength ?? 0),
-    Number(req.dexterity ?? 0),
-    Number(req.intelligence ?? 0),
-    Number(req.defence ?? req.defense ?? 0),
-    Number(req.agility ?? 0),
+    reqNum(req.strength),
+    reqNum(req.dexterity),
+    reqNum(req.intelligence),
+    reqNum(req.defence ?? req.defense),
+    reqNum(req.agility),
   ];
 }
 
@@ -46,6 +131,10 @@ function slotFromItem(it) {
   return null;
 }
 
+function isTomeByHeuristic(it, slot) {
+  return slot === "tome" && String(it.type ?? "").toLowerCase() !== "tome";
+}
+
 function classReqFromReq(req = {}) {
   const v = req.class_requirement ?? req.classRequirement ?? null; // class requirement appears under either key
   if (!v) return null;
@@ -57,166 +146,439 @@ function setNameBestEffort(it) {
   return it.set ?? it.setName ?? it.set_name ?? null;
 }
 
+function majorIdsFrom(it) {
+  // v3 payload: { [name]: description }; older dumps use a list of names
+  const raw = it.majorIds ?? null;
+  if (Array.isArray(raw)) return raw.map((m) => String(m?.name ?? m).trim()).filter(Boolean);
+  if (raw && typeof raw === "object") return Object.keys(raw).map((m) => m.trim()).filter(Boolean);
+  return [];
+}
+
+function tomeTypeFrom(it) {
+  // v3 payload: tomeType ("armour_tome", "weapon_tome", ...); older dumps only have subType
+  const raw = it.tomeType ?? it.subType ?? null;
+  return raw ? String(raw).toLowerCase().trim() : null;
+}
+
+function powderSlotsFrom(it) {
+  const n = Number(it.powderSlots ?? 0);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+/**
+ * One raw payload entry -> normalized item (gear + tomes only; callers skip slot == null).
+ */
+export function normalizeItem(name, it, slot = slotFromItem(it)) {
+  const type = String(it.type ?? "");
+  const rarity = String(it.rarity ?? "unknown");
+
+  const req = (it.requirements && typeof it.requirements === "object") ? it.requirements : {};
+  const levelReq = reqNum(req.level);
+  const reqArr = reqArrFromReq(req);
+  const bonusArr = bonusArrFromIds(it.identifications ?? {});
+  const ids = idsFromIdentifications(it.identifications ?? {});
+  const bonusRolls = {
+    min: SKILL_ID_KEYS.map((k) => ids[k]?.min ?? 0),
+    avg: bonusArr,
+    max: SKILL_ID_KEYS.map((k) => ids[k]?.max ?? 0),
+  };
+
+  // ✅ weapon bonus ignored for build validity; still kept for display
+  const bonusEffArr = slot === "weapon" ? emptyArr() : bonusArr;
+  const bonusEffRolls = slot === "weapon"
+    ? { min: emptyArr(), avg: bonusEffArr, max: emptyArr() }
+    : bonusRolls;
+
+  const identifier = Boolean(it.identifier ?? false);          // optional flag from the API payload
+  const allowCraftsman = Boolean(it.allow_craftsman ?? false); // optional craftsman compatibility flag
+
+  const classReq = classReqFromReq(req); // e.g. "warrior" etc.
+  const weaponType = it.weaponType ? String(it.weaponType).toLowerCase() : null;
+
+  const base = it.base ?? {};
+  const damage = slot === "weapon" ? damageFromBase(base) : null;
+  const attackSpeed = slot === "weapon" ? (it.attackSpeed ?? null) : null;
+  const dps = slot === "weapon" ? dpsFromDamage(damage, attackSpeed, it.averageDps) : 0;
+  const baseHealth = toNumAvg(base.baseHealth);
+  const baseDefArr = baseDefArrFromBase(base);
+
+  return {
+    name,
+    lowerName: name.toLowerCase(),
+    internalName: it.internalName ?? null,
+    type,
+    subType: it.subType ?? null,
+    slot,
+    rarity,
+    levelReq,
+    reqArr,
+    bonusArr,      // display bonus
+    bonusEffArr,   // math bonus
+    bonusRolls,    // display bonus per roll mode: { min, avg, max }
+    bonusEffRolls, // math bonus per roll mode
+    ids,           // all identifications: { [id]: { min, max, avg } }
+    damage,        // weapons only: { neutral|earth|...: { min, max } }
+    attackSpeed,   // weapons only
+    dps,           // weapons only, average over damage range
+    baseHealth,
+    baseDefArr,    // [earth, thunder, water, fire, air]
+    majorIds: majorIdsFrom(it), // major ID names, e.g. ["Saviour's Sacrifice"]
+    powderSlots: powderSlotsFrom(it),
+    identifier,
+    allowCraftsman,
+    classReq,      // best-effort (many armours are null)
+    weaponType,
+    tomeType: slot === "tome" ? tomeTypeFrom(it) : null, // raw tome type, slotted by the ruleset's tomeTypes
+    setName: setNameBestEffort(it),
+    set: null,     // set definition, linked by attachSets() when known
+    custom: null,  // { id, kind } for user-defined items
+  };
+}
+
+function indexItems(items) {
+  const byName = new Map();
+  const bySlot = new Map();
+  const byRarity = new Map();
+  const rarities = new Set();
+  const idNames = new Set();
+
+  for (const it of items) {
+    byName.set(it.name, it);
+
+    if (!bySlot.has(it.slot)) bySlot.set(it.slot, []);
+    bySlot.get(it.slot).push(it);
+
+    if (!byRarity.has(it.rarity)) byRarity.set(it.rarity, []);
+    byRarity.get(it.rarity).push(it);
+
+    rarities.add(it.rarity);
+    for (const id of Object.keys(it.ids)) idNames.add(id);
+  }
+
+  for (const arr of bySlot.values()) arr.sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    byName,
+    bySlot,
+    byRarity,
+    rarities: Array.from(rarities).sort(),
+    idNames: Array.from(idNames).sort(),
+  };
+}
+
+// dataState.cache: the item cache file behind this data; `corrupt` is why a bad file was ignored
+function cacheState(status, header, corrupt = null) {
+  return {
+    status, // ok | legacy | missing | corrupt
+    fetchedAt: header?.fetchedAt ?? null,
+    sourceUrl: header?.sourceUrl ?? null,
+    itemCount: header?.itemCount ?? null,
+    corrupt,
+  };
+}
+
+// cache file names for a source: the live API keeps the plain names, other URLs get their own files
+function cacheFileStem(source) {
+  if (source.kind === "live" || !source.url) return ".wynn_item_cache";
+  return `.wynn_item_cache.${crypto.createHash("sha256").update(source.url).digest("hex").slice(0, 12)}`;
+}
+
 export class WynnDb {
-  constructor({ cacheDir }) {
-    this.cacheFile = path.join(cacheDir, ".wynn_item_cache.json");
+  #inflight = null; // { mode, promise } of the one load allowed to run
+
+  constructor({ cacheDir, dataSource = null, setsFile = null, customItemsFile = null, onRefresh = null }) {
+    this.source = createDataSource(dataSource ?? {});
+    const stem = cacheFileStem(this.source);
+    this.cacheFile = path.join(cacheDir, `${stem}.json.gz`);
+    this.itemCache = new ItemCacheFile({
+      file: this.cacheFile,
+      legacyFile: this.source.kind === "live" ? path.join(cacheDir, ".wynn_item_cache.json") : null,
+    });
+    this.cacheMetaFile = path.join(cacheDir, `${stem}.meta.json`); // { sourceUrl, etag, lastModified, checkedAt }
+    this.setsFile = setsFile ?? path.join(cacheDir, "wynn_sets.json");
+    this.snapshots = new SnapshotStore({ dir: path.join(cacheDir, ".wynn_snapshots") });
+    this.customItems = new CustomItemStore({ file: customItemsFile ?? path.join(cacheDir, "custom_items.json") });
+    this.base = null;  // DB-only normalization, kept so custom item edits can re-merge without a reload
     this.norm = null;
     this.lastLoadInfo = null;
+    this.onRefresh = onRefresh; // called after a background refresh replaced this.norm
+    this.checkedAt = null;      // when the data was last confirmed current upstream (cacheable sources)
+    this.retryAt = 0;
   }
 
+  /**
+   * Loads once and keeps serving that data. Past the TTL it is still returned right away
+   * while a conditional request refreshes it in the background. Concurrent callers share one load.
+   */
   async load({ force = false } = {}) {
-    if (!force && this.norm) return this.norm;
+    const norm = (!force && this.norm) ? this.norm : await this.#singleFlight(force ? "force" : "normal");
+    if (this.#isStale()) this.refreshInBackground();
+    return norm;
+  }
+
+  /** Starts a revalidation unless a load is already running. */
+  refreshInBackground() {
+    if (this.#inflight) return;
+    this.#singleFlight("revalidate").then(
+      () => this.onRefresh?.(),
+      (err) => {
+        this.retryAt = Date.now() + REFRESH_RETRY_MS;
+        this.#setDataState({ degraded: true, warning: `Background refresh failed (${err?.message ?? err}); serving older data.` });
+        this.onRefresh?.();
+      },
+    );
+  }
+
+  /** Resolves once no load or refresh is running. */
+  async idle() {
+    while (this.#inflight) await this.#inflight.promise.catch(() => null);
+  }
+
+  #isStale() {
+    if (!this.source.cacheable || !this.norm || this.checkedAt == null) return false;
+    const now = Date.now();
+    return now - this.checkedAt >= TTL_MS && now >= this.retryAt;
+  }
+
+  #singleFlight(mode) {
+    const current = this.#inflight;
+    if (current && (mode !== "force" || current.mode === "force")) return current.promise;
+    // a forced reload waits for the running load, then fetches again
+    const promise = (current ? current.promise.catch(() => null) : Promise.resolve())
+      .then(() => this.#loadNow(mode))
+      .finally(() => {
+        if (this.#inflight?.promise === promise) this.#inflight = null;
+      });
+    this.#inflight = { mode, promise };
+    return promise;
+  }
+
+  #setDataState(patch) {
+    this.base.dataState = { ...this.base.dataState, ...patch };
+    this.norm = this.#compose();
+  }
+
+  async #loadNow(mode) {
+    const result = await this.#loadRaw(mode);
+    this.checkedAt = result.checkedAt ?? null;
+    if (result.notModified) {
+      // 304: the parsed items are still current
+      this.#setDataState({ degraded: false, warning: null, source: "cache:revalidated" });
+      return this.norm;
+    }
 
-    const { raw, loadInfo } = await this.#loadRaw(force);
+    const { raw, loadInfo } = result;
     const items = [];
-    const byName = new Map();
-    const bySlot = new Map();
-    const byRarity = new Map();
-    const rarities = new Set();
+    const quality = new DataQualityCollector();
 
     for (const [name, it] of Object.entries(raw)) {
       const slot = slotFromItem(it);
-      if (!slot) continue;
-
+      if (!slot) {
+        quality.skip(name, it);
+        continue;
+      }
+      quality.keep(name, it, { tomeByHeuristic: isTomeByHeuristic(it, slot) });
       // we only care about gear+tomes in this app
-      const type = String(it.type ?? "");
-      const rarity = String(it.rarity ?? "unknown");
-      rarities.add(rarity);
-
-      const req = it.requirements ?? {};
-      const levelReq = Number(req.level ?? 0);
-      const reqArr = reqArrFromReq(req);
-      const bonusArr = bonusArrFromIds(it.identifications ?? {});
-
-      // ✅ weapon bonus ignored for build validity; still kept for display
-      const bonusEffArr = slot === "weapon" ? emptyArr() : bonusArr;
-
-      const identifier = Boolean(it.identifier ?? false);          // optional flag from the API payload
-      const allowCraftsman = Boolean(it.allow_craftsman ?? false); // optional craftsman compatibility flag
-
-      const classReq = classReqFromReq(req); // e.g. "warrior" etc.
-      const weaponType = it.weaponType ? String(it.weaponType).toLowerCase() : null;
-
-      const lowerName = name.toLowerCase();
-      const setName = setNameBestEffort(it);
-
-      const norm = {
-        name,
-        lowerName,
-        internalName: it.internalName ?? null,
-        type,
-        subType: it.subType ?? null,
-        slot,
-        rarity,
-        levelReq,
-        reqArr,
-        bonusArr,      // display bonus
-        bonusEffArr,   // math bonus
-        identifier,
-        allowCraftsman,
-        classReq,      // best-effort (many armours are null)
-        weaponType,
-        setName,
-      };
-
-      items.push(norm);
-      byName.set(name, norm);
+      items.push(normalizeItem(name, it, slot));
+    }
 
-      if (!bySlot.has(slot)) bySlot.set(slot, []);
-      bySlot.get(slot).push(norm);
+    // set membership + bonuses come from a separate definitions file (not in the item payload)
+    const { sets, error: setsError } = loadSetDefinitions(this.setsFile);
+    const setLinkedItems = attachSets(new Map(items.map((it) => [it.name, it])), sets);
 
-      if (!byRarity.has(rarity)) byRarity.set(rarity, []);
-      byRarity.get(rarity).push(norm);
+    // dated history for /api/changes; a failed write must never block a load
+    let snapshotId = null;
+    try {
+      snapshotId = this.snapshots.record({ items }, { source: loadInfo?.source ?? "unknown" });
+    } catch {
+      snapshotId = null;
     }
 
-    for (const arr of bySlot.values()) arr.sort((a, b) => a.name.localeCompare(b.name));
-
     this.lastLoadInfo = loadInfo;
-    this.norm = {
+    this.base = {
       items,
-      byName,
-      bySlot,
-      byRarity,
-      rarities: Array.from(rarities).sort(),
+      quality: quality.report(),
+      sets,
       dataState: {
         degraded: Boolean(loadInfo?.degraded),
         warning: loadInfo?.warning ?? null,
         source: loadInfo?.source ?? "unknown",
+        cache: loadInfo?.cache ?? null,
+        snapshotId,
+        sets: { count: sets.size, linkedItems: setLinkedItems, error: setsError },
       },
     };
+    this.norm = this.#compose();
     return this.norm;
   }
 
-  async #loadRaw(force) {
-    const readCache = () => {
+  /** Re-merges custom items after they change; a no-op until the DB has loaded once. */
+  refreshCustomItems() {
+    if (!this.base) return null;
+    this.norm = this.#compose();
+    return this.norm;
+  }
+
+  #compose() {
+    const dbNames = new Set(this.base.items.map((it) => it.name));
+    const customs = [];
+    const conflicts = [];
+    for (const c of this.customItems.list()) {
+      // a later DB patch may add an item with the same name; the DB item wins
+      if (dbNames.has(c.name)) {
+        conflicts.push(c.name);
+        continue;
+      }
+      const norm = normalizeItem(c.name, rawFromCustomItem(c));
+      norm.custom = { id: c.id, kind: c.kind };
+      customs.push(norm);
+    }
+
+    const items = this.base.items.concat(customs);
+    return {
+      items,
+      ...indexItems(items),
+      searchIndex: new SearchIndex(items),
+      quality: this.base.quality,
+      sets: this.base.sets,
+      dataState: {
+        ...this.base.dataState,
+        customItems: { count: customs.length, conflicts },
+      },
+    };
+  }
+
+  #writeCacheMeta(meta) {
+    try {
+      writeFileAtomic(this.cacheMetaFile, JSON.stringify(meta));
+    } catch {
+      // validators are an optimization; a missing file means a full download next time
+    }
+  }
+
+  // mode: "normal" (cache first, stale cache served as-is), "force" (full download),
+  // "revalidate" (conditional request; throws instead of falling back)
+  async #loadRaw(mode) {
+    if (!this.source.cacheable) {
+      return {
+        raw: await this.source.fetchRaw(),
+        loadInfo: {
+          degraded: false,
+          warning: null,
+          source: this.source.label,
+          cache: null,
+        },
+      };
+    }
+
+    // validators and check times written for another source (before per-source files) are not ours
+    const readMeta = () => {
       try {
-        const st = fs.statSync(this.cacheFile);
-        const raw = JSON.parse(fs.readFileSync(this.cacheFile, "utf8"));
-        const ageMs = Date.now() - st.mtimeMs;
-        return { raw, ageMs };
+        const meta = JSON.parse(fs.readFileSync(this.cacheMetaFile, "utf8")) ?? {};
+        return meta.sourceUrl == null || meta.sourceUrl === this.source.url ? meta : {};
       } catch {
-        return null;
+        return {};
       }
     };
 
-    if (!force) {
+    // -> { raw, checkedAt, ageMs, cache } or null; a corrupt file is remembered for dataState
+    let cacheProblem = null;
+    const readCache = () => {
+      const read = this.itemCache.read();
+      if (read.status === "corrupt") cacheProblem = read.error;
+      if (read.status !== "ok" && read.status !== "legacy") return null;
+      // another source's data is a miss, however fresh
+      if (read.header?.sourceUrl != null && read.header.sourceUrl !== this.source.url) return null;
+      const fetchedAt = read.header ? Date.parse(read.header.fetchedAt) : read.mtimeMs;
+      const checkedAt = readMeta().checkedAt ?? fetchedAt;
+      return { raw: read.raw, checkedAt, ageMs: Date.now() - checkedAt, cache: cacheState(read.status, read.header) };
+    };
+
+    if (mode === "normal") {
       const cached = readCache();
       if (cached && cached.ageMs < TTL_MS) {
         return {
           raw: cached.raw,
+          checkedAt: cached.checkedAt,
           loadInfo: {
             degraded: false,
             warning: null,
             source: "cache:fresh",
+            cache: cached.cache,
+          },
+        };
+      }
+      if (cached) {
+        // load() starts the revalidation right after this returns
+        const ageMins = Math.round(cached.ageMs / 60000);
+        return {
+          raw: cached.raw,
+          checkedAt: cached.checkedAt,
+          loadInfo: {
+            degraded: false,
+            warning: `Cached data is ${ageMins}m old; refreshing in the background.`,
+            source: "cache:stale",
+            cache: cached.cache,
           },
         };
       }
     }
 
-    try {
-      const res = await fetch(DB_URL, {
-        headers: {
-          accept: "application/json",
-          "user-agent": "wynnhelperv3 (local)",
-        },
-      });
-
-      if (!res.ok) throw new Error(`DB fetch failed: HTTP ${res.status}`);
+    const meta = readMeta();
+    const validators = mode === "revalidate" ? { etag: meta.etag ?? null, lastModified: meta.lastModified ?? null } : {};
+    const corruptNote = () => (cacheProblem ? ` The item cache file was corrupt (${cacheProblem}).` : "");
 
-      const json = await res.json();
+    try {
+      const fetched = await this.source.fetchConditional(validators);
+      const checkedAt = Date.now();
+      if (fetched.notModified) {
+        this.#writeCacheMeta({ ...meta, checkedAt });
+        return { notModified: true, checkedAt };
+      }
+      const json = fetched.json;
+      let header;
       try {
-        fs.writeFileSync(this.cacheFile, JSON.stringify(json));
+        header = this.itemCache.write(json, { sourceUrl: this.source.url ?? null, fetchedAt: checkedAt });
+        this.#writeCacheMeta({ sourceUrl: this.source.url ?? null, etag: fetched.etag ?? null, lastModified: fetched.lastModified ?? null, checkedAt });
       } catch {
         return {
           raw: json,
+          checkedAt,
           loadInfo: {
             degraded: true,
-            warning: "Live data loaded but cache write failed.",
-            source: "live",
+            warning: `Live data loaded but cache write failed.${corruptNote()}`,
+            source: this.source.label,
+            cache: cacheState(cacheProblem ? "corrupt" : "missing", null, cacheProblem),
           },
         };
       }
       return {
         raw: json,
+        checkedAt,
         loadInfo: {
           degraded: false,
-          warning: null,
-          source: "live",
+          warning: cacheProblem ? `The item cache file was corrupt (${cacheProblem}) and has been replaced.` : null,
+          source: this.source.label,
+          cache: cacheState("ok", header, cacheProblem),
         },
       };
     } catch (err) {
+      if (mode === "revalidate") throw err;
       const cached = readCache();
       if (cached) {
         const ageMins = Math.round(cached.ageMs / 60000);
         return {
           raw: cached.raw,
+          checkedAt: cached.checkedAt,
           loadInfo: {
             degraded: true,
             warning: `Live DB fetch failed; using cached data (${ageMins}m old).`,
             source: "cache:stale-fallback",
+            cache: cached.cache,
           },
         };
       }
+      if (cacheProblem) throw new Error(`${err?.message ?? err}.${corruptNote()}`);
       throw err;
     }
   }
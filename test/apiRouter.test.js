@@ -0,0 +1,390 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import express from "express";
+
+import { buildApiRouter } from "../src/api.js";
+import { createDataSource } from "../src/dataSource.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "items.json");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-api-"));
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+  server.closeAllConnections?.();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+async function startApi(routerOpts) {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", await buildApiRouter(routerOpts));
+  const server = http.createServer(app);
+  const base = `${await listen(server)}/api`;
+  return { base, server };
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
+test("snapshot data source serves fixture items without touching the network", async (t) => {
+  const { base, server } = await startApi({ cacheDir: tmpDir(), dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const health = await (await fetch(`${base}/health`)).json();
+  assert.equal(health.ok, true);
+  assert.equal(health.itemCount, 13);
+  assert.equal(health.dataState.source, "snapshot:items.json");
+
+  const search = await (await fetch(`${base}/search?slot=ring&q=`)).json();
+  assert.deepEqual(search.results.map((x) => x.name).sort(), ["Athanasia", "Cacophony", "Clockwork Ring"]);
+
+  const compatible = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", selected: {}, locks: {} });
+  assert.equal(compatible.ok, true);
+  assert.ok(compatible.results.ring.some((x) => x.name === "Clockwork Ring"));
+});
+
+test("api data source reads a local mock of the v3 item endpoint and caches it", async (t) => {
+  const payload = fs.readFileSync(FIXTURE, "utf8");
+  const requests = [];
+  const mock = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(payload);
+  });
+  const mockBase = await listen(mock);
+  t.after(() => close(mock));
+
+  const cacheDir = tmpDir();
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "api", baseUrl: `${mockBase}/` } });
+  t.after(() => close(server));
+
+  const health = await (await fetch(`${base}/health`)).json();
+  assert.equal(health.itemCount, 13);
+  assert.equal(health.dataState.source, `api:${mockBase}/`);
+  assert.deepEqual(requests, ["/v3/item/database?fullResult="]);
+  assert.ok(fs.readdirSync(cacheDir).some((f) => /^\.wynn_item_cache\.[0-9a-f]{12}\.json\.gz$/.test(f)));
+  assert.equal(health.dataState.cache.status, "ok");
+  assert.equal(health.dataState.cache.itemCount, 14);
+  assert.equal(health.dataState.cache.sourceUrl, `${mockBase}/v3/item/database?fullResult=`);
+});
+
+test("changes route diffs the snapshots taken before and after a reload", async (t) => {
+  const cacheDir = tmpDir();
+  const snapshotPath = path.join(cacheDir, "items.json");
+  const raw = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  fs.writeFileSync(snapshotPath, JSON.stringify(raw));
+
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "snapshot", path: snapshotPath } });
+  t.after(() => close(server));
+
+  await fetch(`${base}/health`);
+  const early = await (await fetch(`${base}/changes`)).json();
+  assert.equal(early.ok, false);
+
+  raw.Athanasia.rarity = "legendary"; // was fabled
+  delete raw.Cacophony;
+  fs.writeFileSync(snapshotPath, JSON.stringify(raw));
+  await fetch(`${base}/reload`, { method: "POST" });
+
+  const changes = await (await fetch(`${base}/changes`)).json();
+  assert.equal(changes.ok, true);
+  assert.deepEqual(changes.counts, { added: 0, removed: 1, changed: 1 });
+  assert.equal(changes.removed[0].name, "Cacophony");
+  assert.deepEqual(changes.changed[0].changes, [{ field: "rarity", from: "fabled", to: "legendary" }]);
+
+  // snapshot files gone or damaged behind the index
+  const snapshotFile = (id) => path.join(cacheDir, ".wynn_snapshots", `${id}.json`);
+  fs.writeFileSync(snapshotFile(changes.to), "{");
+  const corrupt = await fetch(`${base}/changes?from=${changes.to}&to=${changes.to}`);
+  assert.equal(corrupt.status, 500);
+  assert.equal((await corrupt.json()).error, "Snapshot unreadable");
+  fs.rmSync(snapshotFile(changes.from));
+  const pruned = await fetch(`${base}/changes?from=${changes.from}&to=${changes.from}`);
+  assert.equal(pruned.status, 404);
+  assert.equal((await pruned.json()).error, "Snapshot not found");
+});
+
+test("custom items can be created, used by compatible/explain, updated and deleted", async (t) => {
+  const cacheDir = tmpDir();
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const send = async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { "content-type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, json: await res.json() };
+  };
+
+  const ring = { name: "My Crafted Ring", slot: "ring", level: 70, requirements: { dexterity: 10 }, skillBonuses: { dexterity: 5 }, identifications: { manaRegen: 3 } };
+
+  const created = await send("POST", "/custom-items", ring);
+  assert.equal(created.status, 201);
+  const id = created.json.item.id;
+  assert.equal(created.json.item.kind, "crafted");
+  assert.ok(fs.existsSync(path.join(cacheDir, "custom_items.json")));
+
+  const compatible = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", selected: {}, locks: {} });
+  const row = compatible.results.ring.find((x) => x.name === ring.name);
+  assert.equal(row.custom, "crafted");
+  assert.deepEqual(row.bonus, [0, 5, 0, 0, 0]);
+  assert.deepEqual(row.ids.manaRegen, { min: 3, max: 3, avg: 3 });
+
+  const noCrafted = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", noCraftedBestEffort: true });
+  assert.equal(noCrafted.results.ring.some((x) => x.name === ring.name), false);
+
+  const explained = await postJson(`${base}/explain`, { level: 106, itemName: ring.name, targetSlot: "ring" });
+  assert.equal(explained.passes, true);
+
+  const updated = await send("PUT", `/custom-items/${id}`, { ...ring, requirements: { dexterity: 500 } });
+  assert.equal(updated.status, 400);
+  assert.match(updated.json.details, /requirements\.dexterity/);
+
+  const renamed = await send("PUT", `/custom-items/${id}`, { ...ring, name: "Athanasia" });
+  assert.equal(renamed.status, 409);
+
+  const removed = await send("DELETE", `/custom-items/${id}`);
+  assert.equal(removed.status, 200);
+  assert.deepEqual((await send("GET", "/custom-items")).json.items, []);
+  const search = await (await fetch(`${base}/search?slot=ring&q=crafted`)).json();
+  assert.deepEqual(search.results, []);
+  assert.equal((await send("DELETE", `/custom-items/${id}`)).status, 404);
+});
+
+test("owned items keep exact rolls and are selectable as owned:<id>", async (t) => {
+  const cacheDir = tmpDir();
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const send = async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { "content-type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, json: await res.json() };
+  };
+
+  const outOfRange = await send("POST", "/owned-items", { itemName: "Cacophony", ids: { lifeSteal: 500 } });
+  assert.equal(outOfRange.status, 400);
+  assert.match(outOfRange.json.details, /lifeSteal must be within 39\.\.169/);
+  assert.equal((await send("POST", "/owned-items", { itemName: "Cacophony", ids: { manaRegen: 3 } })).status, 400);
+
+  const created = await send("POST", "/owned-items", { itemName: "Cacophony", label: "Good Cacophony", ids: { lifeSteal: 169 } });
+  assert.equal(created.status, 201);
+  const ref = `owned:${created.json.item.id}`;
+
+  const strict = { level: 106, targetSlot: "ring", minIds: { lifeSteal: 160 } };
+  assert.equal((await postJson(`${base}/explain`, { ...strict, itemName: "Cacophony" })).passes, false);
+  assert.equal((await postJson(`${base}/explain`, { ...strict, itemName: ref })).passes, true);
+  assert.equal((await postJson(`${base}/explain`, { ...strict, itemName: "Cacophony", rollMode: "max" })).passes, true);
+
+  const compatible = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", selected: { ring1: ref }, locks: { ring1: true } });
+  assert.equal(compatible.baseline.finalSpend, 55);
+  assert.deepEqual(compatible.baseline.equipOrder.steps.map((st) => [st.step, st.name, st.slot]), [[1, "Cacophony", "ring"]]);
+  assert.equal(compatible.baseline.equipOrder.steps[0].add.agility, 55);
+  const swapRow = compatible.results.ring.find((x) => x.name === "Clockwork Ring");
+  assert.deepEqual(Object.keys(swapRow.liveSwap), ["direct", "takeOffFirst", "assignFirst"]);
+  const lowPoints = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", selected: { ring1: ref }, locks: { ring1: true }, assigned: { agility: 0 } });
+  assert.equal(lowPoints.results.ring.every((x) => !x.liveSwap.direct), true, "Cacophony needs 55 AGI assigned");
+  const badAssigned = await send("POST", "/compatible", { level: 106, targetSlot: "ring", assigned: { luck: 3 } });
+  assert.equal(badAssigned.status, 400);
+  const minSpend = compatible.allocationPreview.find((a) => a.name === "Min spend");
+  assert.equal(minSpend.totals.agility, 55);
+  assert.ok(minSpend.effects.dodgeChance > 0);
+  assert.equal(compatible.results.ring.some((x) => x.name === "Cacophony"), false);
+
+  const missing = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", selected: { ring1: "owned:nope" } });
+  assert.ok(missing.notes.some((n) => n.includes("owned:nope")));
+
+  assert.equal((await send("DELETE", `/owned-items/${created.json.item.id}`)).status, 200);
+  assert.deepEqual((await send("GET", "/owned-items")).json.items, []);
+});
+
+test("search and compatible filter by major ID and powder slots; solve reports unavailable required major IDs", async (t) => {
+  const cacheDir = tmpDir();
+  const raw = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  raw["Cosmic Visor"].majorIds = { "Saviour's Sacrifice": "<span>...</span>" };
+  const snapshotPath = path.join(cacheDir, "items.json");
+  fs.writeFileSync(snapshotPath, JSON.stringify(raw));
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "snapshot", path: snapshotPath } });
+  t.after(() => close(server));
+
+  const search = await (await fetch(`${base}/search?slot=helmet&majorId=${encodeURIComponent("saviour's sacrifice")}`)).json();
+  assert.deepEqual(search.results.map((x) => x.name), ["Cosmic Visor"]);
+  assert.deepEqual(search.results[0].majorIds, ["Saviour's Sacrifice"]);
+
+  const slots = await (await fetch(`${base}/search?minPowderSlots=4`)).json();
+  assert.ok(slots.results.length > 0);
+  assert.ok(slots.results.every((x) => x.powderSlots >= 4));
+
+  const compatible = await postJson(`${base}/compatible`, { level: 106, targetSlot: "helmet", majorId: "Saviour's Sacrifice" });
+  assert.deepEqual(compatible.results.helmet.map((x) => x.name), ["Cosmic Visor"]);
+
+  const explained = await postJson(`${base}/explain`, { level: 106, itemName: "Centipede", targetSlot: "helmet", majorId: "Saviour's Sacrifice" });
+  assert.equal(explained.reason, "fails major ID");
+
+  const unsolvable = await postJson(`${base}/solve`, { level: 106, requiredMajorIds: "Peaceful Effigy" });
+  assert.equal(unsolvable.found, false);
+  assert.deepEqual(unsolvable.unavailableMajorIds, ["peaceful effigy"]);
+
+  const badObjective = await fetch(`${base}/solve`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, objectives: { notAStat: 1 } }),
+  });
+  assert.equal(badObjective.status, 400);
+  assert.ok((await badObjective.json()).acceptedValues.includes("manaRegen"));
+  const badPareto = await fetch(`${base}/solve`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, topK: 5, pareto: "objective" }),
+  });
+  assert.equal(badPareto.status, 400);
+  assert.equal((await badPareto.json()).error, "Invalid pareto");
+  const tooFrail = await postJson(`${base}/solve`, { level: 106, objectives: { manaRegen: 2, health: 1 }, minStats: { health: 1e9 } });
+  assert.equal(tooFrail.found, false);
+
+  const timed = await postJson(`${base}/solve`, { level: 106, timeLimitMs: 1 });
+  assert.equal(timed.meta.timeLimitMs, 50);
+  assert.equal(timed.meta.maxNodes, 2000000);
+  assert.equal(typeof timed.meta.elapsedMs, "number");
+  assert.equal(typeof timed.meta.timedOut, "boolean");
+  assert.ok(Array.isArray(timed.meta.timeline));
+  assert.equal((await postJson(`${base}/solve`, { level: 106 })).meta.timeline, undefined);
+});
+
+test("search accepts the query language and rejects unknown fields", async (t) => {
+  const { base, server } = await startApi({ cacheDir: tmpDir(), dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const q = encodeURIComponent("slot:ring lvl:80 -set lifesteal>=100");
+  const found = await (await fetch(`${base}/search?q=${q}`)).json();
+  assert.deepEqual(found.results.map((x) => x.name), ["Cacophony"]);
+
+  const bad = await fetch(`${base}/search?q=${encodeURIComponent("colour:red")}`);
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).details, /unknown field/);
+});
+
+test("routes validate the ruleset and apply it to classes and budgets", async (t) => {
+  const { base, server } = await startApi({ cacheDir: tmpDir(), dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const bad = await fetch(`${base}/compatible`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, targetSlot: "ring", ruleset: { perSkillCap: -1 } }),
+  });
+  assert.equal(bad.status, 400);
+  const badJson = await bad.json();
+  assert.equal(badJson.error, "Invalid ruleset");
+  assert.ok(badJson.acceptedValues.includes("perSkillCap"));
+
+  const badSearch = await fetch(`${base}/search?q=&ruleset=${encodeURIComponent("{\"levelCap\":1}")}`);
+  assert.equal(badSearch.status, 400);
+
+  const rules = { skillPointLevelCap: 121, classWeapons: { monk: "staff" } };
+  const compatible = await postJson(`${base}/compatible`, { level: 130, class: "monk", targetSlot: "ring", ruleset: rules });
+  assert.equal(compatible.budgetBase, 240);
+
+  const oldClass = await fetch(`${base}/compatible`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, class: "mage", targetSlot: "ring", ruleset: rules }),
+  });
+  assert.equal(oldClass.status, 400);
+  assert.deepEqual((await oldClass.json()).acceptedValues, ["monk", "", null]);
+});
+
+test("compatible and solve validate tome selections against the tome slots", async (t) => {
+  const cacheDir = tmpDir();
+  const raw = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+  // as in the live payload: a tome type beyond weapon, armour, guild and lootrun
+  raw["Dragon's Tome of Mysticism II"] = {
+    internalName: "Dragon's Tome of Mysticism II", type: "tome", tomeType: "mysticism_tome", raidReward: true,
+    requirements: { level: 100 }, identifications: { "3rdSpellCost": { min: -1, raw: -4, max: -5 } }, rarity: "mythic",
+  };
+  const snapshotPath = path.join(cacheDir, "items.json");
+  fs.writeFileSync(snapshotPath, JSON.stringify(raw));
+  const { base, server } = await startApi({ cacheDir, dataSource: { kind: "snapshot", path: snapshotPath } });
+  t.after(() => close(server));
+
+  const tome = "Blooming Tome of Defensive Mastery II";
+  const compatible = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", tomes: [tome, tome] });
+  assert.deepEqual(compatible.tomeSlots.armour, { used: 2, capacity: 4 });
+
+  const mysticism = await postJson(`${base}/compatible`, { level: 106, targetSlot: "ring", tomes: ["Dragon's Tome of Mysticism II"] });
+  assert.deepEqual(mysticism.tomeSlots.weapon, { used: 1, capacity: 2 });
+
+  const tooMany = await fetch(`${base}/solve`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, tomes: Array(5).fill(tome) }),
+  });
+  assert.equal(tooMany.status, 400);
+  assert.match((await tooMany.json()).details, /only 4 armour tome slot/);
+
+  const notTome = await fetch(`${base}/compatible`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ level: 106, targetSlot: "ring", tomes: ["Athanasia"] }),
+  });
+  assert.equal(notTome.status, 400);
+});
+
+test("createDataSource rejects unknown kinds and missing settings", () => {
+  assert.throws(() => createDataSource({ kind: "ftp" }), /Unknown data source/);
+  assert.throws(() => createDataSource({ kind: "snapshot" }), /needs a path/);
+  assert.throws(() => createDataSource({ kind: "api" }), /needs a baseUrl/);
+  assert.equal(createDataSource().kind, "live");
+});
+
+test("solve jobs stream the /solve result as server-sent events", async (t) => {
+  const { base, server } = await startApi({ cacheDir: tmpDir(), dataSource: { kind: "snapshot", path: FIXTURE } });
+  t.after(() => close(server));
+
+  const body = { level: 106, requiredMajorIds: "Peaceful Effigy" };
+  const started = await fetch(`${base}/solve/jobs`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  assert.equal(started.status, 202);
+  const { jobId, status } = await started.json();
+  assert.equal(status, "running");
+
+  const stream = await fetch(`${base}/solve/jobs/${jobId}/events`);
+  assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+  const events = (await stream.text()).trim().split("\n\n").map((chunk) => {
+    const [, event] = chunk.match(/^event: (.+)$/m);
+    const [, data] = chunk.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+  const last = events[events.length - 1];
+  assert.equal(last.event, "done");
+  assert.deepEqual(last.data, await postJson(`${base}/solve`, body));
+
+  const deleted = await fetch(`${base}/solve/jobs/${jobId}`, { method: "DELETE" });
+  assert.deepEqual(await deleted.json(), { ok: true, jobId, status: "done" });
+
+  assert.equal((await fetch(`${base}/solve/jobs/nope/events`)).status, 404);
+  assert.equal((await fetch(`${base}/solve/jobs/nope`, { method: "DELETE" })).status, 404);
+  const invalid = await fetch(`${base}/solve/jobs`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify({ level: 106, pareto: "nope" }) });
+  assert.equal(invalid.status, 400);
+});
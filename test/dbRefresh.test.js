@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { WynnDb } from "../src/wynnDb.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "items.json");
+const HOUR = 60 * 60 * 1000;
+
+// v3 item endpoint mock: answers 304 to a matching If-None-Match, can switch payloads or fail
+async function startMock(t) {
+  const state = { etag: '"v1"', payload: fs.readFileSync(FIXTURE, "utf8"), fail: false, requests: [] };
+  const server = http.createServer((req, res) => {
+    state.requests.push({ ifNoneMatch: req.headers["if-none-match"] ?? null });
+    if (state.fail) {
+      res.writeHead(502);
+      return res.end();
+    }
+    if (req.headers["if-none-match"] === state.etag) {
+      res.writeHead(304, { etag: state.etag });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "application/json", etag: state.etag });
+    res.end(state.payload);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { state, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function newDb(baseUrl, cacheDir, onRefresh = null) {
+  return new WynnDb({ cacheDir, dataSource: { kind: "api", baseUrl }, onRefresh });
+}
+
+test("concurrent loads share one download", async (t) => {
+  const { state, baseUrl } = await startMock(t);
+  const db = newDb(baseUrl, fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-")));
+
+  const results = await Promise.all([db.load(), db.load(), db.load()]);
+  assert.equal(state.requests.length, 1);
+  assert.ok(results.every((d) => d === results[0]));
+});
+
+test("a stale cache is served at once and revalidated with its ETag", async (t) => {
+  const { state, baseUrl } = await startMock(t);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-"));
+  await newDb(baseUrl, cacheDir).load();
+
+  const metaFile = newDb(baseUrl, cacheDir).cacheMetaFile;
+  const meta = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+  assert.equal(meta.etag, '"v1"');
+  fs.writeFileSync(metaFile, JSON.stringify({ ...meta, checkedAt: Date.now() - 2 * HOUR }));
+
+  let refreshed = 0;
+  const db = newDb(baseUrl, cacheDir, () => { refreshed += 1; });
+  const stale = await db.load();
+  assert.equal(stale.dataState.source, "cache:stale");
+  assert.equal(stale.items.length, 13);
+
+  await db.idle();
+  assert.deepEqual(state.requests.map((r) => r.ifNoneMatch), [null, '"v1"']);
+  assert.equal(refreshed, 1);
+  const current = await db.load();
+  assert.equal(current.dataState.source, "cache:revalidated");
+  assert.equal(current.dataState.warning, null);
+  assert.equal(state.requests.length, 2);
+});
+
+test("a background refresh swaps in changed data, and a failed one keeps the old data", async (t) => {
+  const { state, baseUrl } = await startMock(t);
+  let refreshed = 0;
+  const db = newDb(baseUrl, fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-")), () => { refreshed += 1; });
+  const first = await db.load();
+
+  const raw = JSON.parse(state.payload);
+  delete raw.Cacophony;
+  state.payload = JSON.stringify(raw);
+  state.etag = '"v2"';
+  db.checkedAt = Date.now() - 2 * HOUR;
+
+  assert.equal(await db.load(), first); // stale data right away
+  await db.idle();
+  assert.equal(refreshed, 1);
+  const updated = await db.load();
+  assert.equal(updated.items.length, 12);
+  assert.equal(updated.byName.has("Cacophony"), false);
+
+  state.fail = true;
+  db.checkedAt = Date.now() - 2 * HOUR;
+  await db.load();
+  await db.idle();
+  const kept = await db.load();
+  assert.equal(kept.items.length, 12);
+  assert.equal(kept.dataState.degraded, true);
+  assert.match(kept.dataState.warning, /Background refresh failed/);
+
+  // no retry storm: the next requests inside the retry window do not refetch
+  const before = state.requests.length;
+  await db.load();
+  await db.idle();
+  assert.equal(state.requests.length, before);
+});
+
+test("a corrupt cache file is reported in dataState and replaced, or named in the load error", async (t) => {
+  const { baseUrl } = await startMock(t);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-"));
+  fs.writeFileSync(newDb(baseUrl, cacheDir).cacheFile, "not gzip");
+
+  const d = await newDb(baseUrl, cacheDir).load();
+  assert.equal(d.items.length, 13);
+  assert.equal(d.dataState.cache.status, "ok");
+  assert.match(d.dataState.cache.corrupt, /unreadable/);
+  assert.match(d.dataState.warning, /corrupt/);
+  assert.equal(newDb(baseUrl, cacheDir).itemCache.read().status, "ok");
+
+  const offlineDir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-"));
+  fs.writeFileSync(newDb("http://127.0.0.1:1", offlineDir).cacheFile, "not gzip");
+  await assert.rejects(newDb("http://127.0.0.1:1", offlineDir).load(), /item cache file was corrupt \(unreadable/);
+});
+
+test("each source URL has its own cache, and another source's cache is a miss", async (t) => {
+  const first = await startMock(t);
+  const second = await startMock(t);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-refresh-"));
+  await newDb(first.baseUrl, cacheDir).load();
+
+  const db = newDb(second.baseUrl, cacheDir);
+  assert.notEqual(db.cacheFile, newDb(first.baseUrl, cacheDir).cacheFile);
+  const d = await db.load();
+  assert.equal(d.dataState.source, `api:${second.baseUrl}`);
+  assert.deepEqual(second.state.requests.map((r) => r.ifNoneMatch), [null]);
+
+  // a file shared between sources (older versions) is not served for the other one, nor its ETag sent
+  fs.copyFileSync(newDb(first.baseUrl, cacheDir).cacheFile, db.cacheFile);
+  fs.copyFileSync(newDb(first.baseUrl, cacheDir).cacheMetaFile, db.cacheMetaFile);
+  const again = await newDb(second.baseUrl, cacheDir).load();
+  assert.equal(again.dataState.source, `api:${second.baseUrl}`);
+  assert.deepEqual(second.state.requests.map((r) => r.ifNoneMatch), [null, null]);
+  assert.equal(first.state.requests.length, 1);
+});
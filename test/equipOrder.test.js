@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { computeBuildStats, equipOrder } from "../src/compat.js";
+
+function mkItem(name, slot, reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0]) {
+  return { name, slot, reqArr, bonusArr, bonusEffArr: bonusArr, set: null, setName: null };
+}
+
+test("equipOrder returns the steps and the skill points to add before each", () => {
+  const booster = mkItem("Booster", "helmet", [0, 10, 0, 0, 0], [20, 0, 0, 0, 0]);
+  const heavy = mkItem("Heavy", "chestplate", [30, 0, 0, 0, 0]);
+
+  const order = equipOrder([heavy, booster], 20);
+  assert.deepEqual(order.steps.map((s) => s.name), ["Booster", "Heavy"]);
+  assert.deepEqual(order.steps[0].add, [0, 10, 0, 0, 0]);
+  assert.deepEqual(order.steps[1].need, [10, 0, 0, 0, 0]);
+  assert.deepEqual(order.steps[1].add, [10, 0, 0, 0, 0]);
+  assert.deepEqual(order.steps[1].assigned, [10, 10, 0, 0, 0]);
+  assert.deepEqual(order.assigned, [10, 10, 0, 0, 0]);
+
+  const st = computeBuildStats([heavy, booster], 20);
+  assert.equal(st.equipOrderOk, true);
+  assert.deepEqual(st.equipOrder, order);
+
+  assert.equal(equipOrder([heavy, booster], 9), null);
+  assert.equal(computeBuildStats([heavy, booster], 19).equipOrder, null);
+});
+
+test("equipOrder tops up points for items whose need grows after later pieces", () => {
+  const drain = mkItem("Drain", "boots", [0, 0, 0, 0, 0], [-5, 0, 0, 0, 0]);
+  const strong = mkItem("Strong", "leggings", [10, 0, 0, 0, 0]);
+
+  const order = equipOrder([strong, drain], 20);
+  assert.deepEqual(order.assigned, [15, 0, 0, 0, 0], "Strong still needs 10 STR once Drain is on");
+});
+
+test("equipOrder counts the points earlier steps already assigned", () => {
+  const needsStr = mkItem("Needs STR", "helmet", [50, 0, 0, 0, 0]);
+  const givesStr = mkItem("Gives STR", "chestplate", [0, 60, 0, 0, 0], [50, 0, 0, 0, 0]);
+
+  // Needs STR first would assign 50 STR and then 60 DEX: 110 points
+  const order = equipOrder([needsStr, givesStr], 100);
+  assert.deepEqual(order.steps.map((s) => s.name), ["Gives STR", "Needs STR"]);
+  assert.deepEqual(order.assigned, [0, 60, 0, 0, 0]);
+  const st = computeBuildStats([needsStr, givesStr], 100);
+  assert.equal(st.equipOrderOk, true);
+  assert.equal(st.finalSpend, 60);
+
+  const drain = mkItem("Drain", "boots", [0, 60, 0, 0, 0], [-50, 0, 0, 0, 0]);
+  assert.equal(equipOrder([needsStr, givesStr, drain], 100), null, "every order runs over 100 points");
+});
+
+test("equipOrder finds an order within budget exactly when one exists", () => {
+  let seed = 11;
+  const rand = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const skills = (p, hi) => Array.from({ length: 5 }, () => (rand() < p ? Math.floor(rand() * hi) : 0));
+  // every permutation, with the running assigned vector and the final top-up
+  const anyOrderFits = (items, budget) => {
+    const cost = (order) => {
+      let assigned = [0, 0, 0, 0, 0];
+      let bonus = [0, 0, 0, 0, 0];
+      for (const it of order) {
+        assigned = assigned.map((v, k) => Math.max(v, it.reqArr[k] - bonus[k]));
+        bonus = bonus.map((v, k) => v + it.bonusArr[k]);
+      }
+      for (const it of order) assigned = assigned.map((v, k) => Math.max(v, it.reqArr[k] - bonus[k]));
+      return assigned.every((v) => v <= 100) ? assigned.reduce((s, v) => s + v, 0) : Infinity;
+    };
+    const permute = (left, done) => (left.length
+      ? left.some((it, i) => permute(left.filter((_, j) => j !== i), done.concat([it])))
+      : cost(done) <= budget);
+    return permute(items, []);
+  };
+
+  let fits = 0;
+  for (let n = 0; n < 300; n++) {
+    const items = Array.from({ length: 5 }, (_, i) => mkItem(`item-${i}`, "ring", skills(0.4, 70), skills(0.3, 40).map((v) => (v ? v - 10 : 0))));
+    const budget = 40 + Math.floor(rand() * 120);
+    const order = equipOrder(items, budget);
+    assert.equal(order != null, anyOrderFits(items, budget), `case ${n}`);
+    if (!order) continue;
+    fits += 1;
+    assert.ok(order.assigned.reduce((s, v) => s + v, 0) <= budget, `case ${n}`);
+  }
+  assert.ok(fits > 30 && fits < 270, `both outcomes come up (${fits} fit)`);
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildStatsScanner, canEquipAllInSomeOrder, computeBuildStats, effBonus, setTierFor } from "../src/compat.js";
+
+// The equip-order DP before typed arrays: one JS array per mask. It checks each step's own need only, so it
+// also accepts orders whose running total runs over the budget; no build the scanner accepts may fail it.
+// Timings live in bench/equipOrder.mjs (npm run bench).
+function legacyCanEquipAll(items, budget, perSkillCap = 100) {
+  const n = items.length;
+  const size = 1 << n;
+  const tier = (set, pieces) => setTierFor(set, pieces)?.bonusArr ?? [0, 0, 0, 0, 0];
+  const bonusSum = new Array(size);
+  bonusSum[0] = [0, 0, 0, 0, 0];
+  for (let mask = 1; mask < size; mask++) {
+    const i = Math.log2(mask & -mask) | 0;
+    let sum = bonusSum[mask ^ (1 << i)].map((v, k) => v + effBonus(items[i])[k]);
+    if (items[i].set) {
+      let pieces = 0;
+      for (let j = 0; j < n; j++) if ((mask & (1 << j)) && items[j].set === items[i].set) pieces++;
+      sum = sum.map((v, k) => v + tier(items[i].set, pieces)[k] - tier(items[i].set, pieces - 1)[k]);
+    }
+    bonusSum[mask] = sum;
+  }
+  const feasible = new Uint8Array(size);
+  feasible[0] = 1;
+  for (let mask = 0; mask < size; mask++) {
+    if (!feasible[mask]) continue;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) continue;
+      let total = 0;
+      let ok = true;
+      for (let k = 0; k < 5; k++) {
+        const need = Math.max(0, items[i].reqArr[k] - bonusSum[mask][k]);
+        if (need > perSkillCap) ok = false;
+        total += need;
+      }
+      if (ok && total <= budget) feasible[mask | (1 << i)] = 1;
+    }
+  }
+  return feasible[size - 1] === 1;
+}
+
+function rng(seed) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x / 2147483648;
+  };
+}
+
+function mkBuild(seed) {
+  const rand = rng(seed);
+  const skills = () => Array.from({ length: 5 }, () => (rand() < 0.4 ? Math.floor(rand() * 60) : 0));
+  const bonuses = () => Array.from({ length: 5 }, () => (rand() < 0.3 ? Math.floor(rand() * 20) - 6 : 0));
+  const item = (name, slot, extra = {}) => {
+    const bonusArr = bonuses();
+    return { name, slot, reqArr: skills(), bonusArr, bonusEffArr: bonusArr, set: null, ...extra };
+  };
+  const set = { name: "Bench", tiers: [{ count: 2, bonusArr: [0, 8, 0, 0, 8] }, { count: 3, bonusArr: [5, 12, 0, 0, 12] }] };
+
+  const base = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"]
+    .map((slot, i) => item(`base-${i}`, slot, i < 2 ? { set } : {}));
+  for (let t = 0; t < 4; t++) {
+    base.push({ name: `tome-${t}`, slot: "tome", reqArr: [0, 0, 0, 0, 0], bonusArr: [0, 0, 0, 3, 0], bonusEffArr: [0, 0, 0, 3, 0], set: null });
+  }
+  const candidates = Array.from({ length: 120 }, (_, i) => item(`cand-${i}`, "ring", i % 10 === 0 ? { set } : {}));
+  return { base, candidates };
+}
+
+test("candidate scan: scanner and full DP agree, within what the legacy DP accepts", () => {
+  const { base, candidates } = mkBuild(7);
+  const budget = 200;
+
+  const legacy = candidates.map((c) => legacyCanEquipAll(base.concat([c]), budget));
+  const full = candidates.map((c) => computeBuildStats(base.concat([c]), budget));
+  const statsWith = buildStatsScanner(base, budget);
+  const scanned = candidates.map((c) => statsWith(c));
+
+  candidates.forEach((c, i) => {
+    const items = base.concat([c]);
+    if (canEquipAllInSomeOrder(items, budget)) assert.equal(legacyCanEquipAll(items, budget), true, c.name);
+    assert.equal(scanned[i].equipOrderOk, full[i].equipOrderOk, c.name);
+    assert.equal(scanned[i].finalSpend, full[i].finalSpend, c.name);
+    assert.deepEqual(scanned[i].netBonus, full[i].netBonus, c.name);
+    assert.deepEqual(scanned[i].setBonus, full[i].setBonus, c.name);
+    if (full[i].equipOrderOk) assert.equal(legacy[i], true, c.name);
+  });
+  assert.ok(full.some((st) => st.equipOrderOk) && full.some((st) => !st.equipOrderOk), "the scan covers both outcomes");
+});
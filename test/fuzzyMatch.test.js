@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { editDistance, matchName, mergeRanges } from "../src/fuzzyMatch.js";
+
+const rank = (q, names) => names
+  .map((n) => ({ n, m: matchName(q, n.toLowerCase()) }))
+  .filter((x) => x.m)
+  .sort((a, b) => b.m.score - a.m.score)
+  .map((x) => x.n);
+
+test("editDistance counts adjacent transpositions as one edit", () => {
+  assert.equal(editDistance("cataclysm", "cataclysm"), 0);
+  assert.equal(editDistance("catalcysm", "cataclysm"), 1);
+  assert.equal(editDistance("cataclism", "cataclysm"), 1);
+  assert.equal(editDistance("abc", "xyz123", 2), 3);
+});
+
+test("exact, prefix and word-prefix matches rank ahead of typo matches", () => {
+  assert.deepEqual(
+    rank("nova", ["Supernova", "Nova", "Stellar Nova", "Novaa Ring", "Nvoa"]),
+    ["Nova", "Novaa Ring", "Stellar Nova", "Supernova", "Nvoa"],
+  );
+});
+
+test("long multi-word queries keep per-word matches below substring matches", () => {
+  const q = "ade of the fallen kinng of the east";
+  assert.deepEqual(
+    rank(q, ["East of the Fallen King of the Adept", "Shade of the Fallen Kinng of the East"]),
+    ["Shade of the Fallen Kinng of the East", "East of the Fallen King of the Adept"],
+  );
+  assert.ok(matchName(q, "east of the fallen king of the adept").score < 700);
+});
+
+test("typos and transpositions still find the item", () => {
+  assert.deepEqual(rank("cataclsym", ["Cataclysm", "Catalyst", "Moontower"]), ["Cataclysm"]);
+  assert.deepEqual(rank("moon towr", ["Moontower", "Moon Tower Helm", "Tower Shield"]), ["Moon Tower Helm"]);
+  assert.equal(matchName("xyz", "cataclysm"), null);
+  assert.equal(matchName("cataclsym", "cataclysm", { typos: false }), null);
+});
+
+test("aliases resolve to the full item name as an exact match", () => {
+  assert.deepEqual(rank("cata", ["Catalyst", "Cataclysm"]), ["Cataclysm", "Catalyst"]);
+  assert.deepEqual(matchName("grandma", "grandmother"), { score: 1000, ranges: [[0, 11]] });
+});
+
+test("highlight ranges point at the matched parts of the name", () => {
+  assert.deepEqual(matchName("tower", "moon tower helm").ranges, [[5, 10]]);
+  assert.deepEqual(matchName("mn hlm", "moon tower helm").ranges, [[0, 1], [3, 5], [11, 12], [13, 15]]);
+  assert.deepEqual(mergeRanges([[5, 8], [0, 2], [1, 3]]), [[0, 3], [5, 8]]);
+});
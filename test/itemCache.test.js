@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+
+import { ItemCacheFile, writeFileAtomic } from "../src/itemCache.js";
+
+function tmpCache() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-cache-"));
+  return { dir, cache: new ItemCacheFile({ file: path.join(dir, "items.json.gz"), legacyFile: path.join(dir, "items.json") }) };
+}
+
+const RAW = { Athanasia: { type: "accessory", accessoryType: "ring" }, Cacophony: { type: "accessory", accessoryType: "ring" } };
+
+test("item cache round-trips through gzip with a checksummed header", () => {
+  const { dir, cache } = tmpCache();
+  const header = cache.write(RAW, { sourceUrl: "http://mock/v3/item/database?fullResult=", fetchedAt: Date.UTC(2026, 9, 19) });
+
+  assert.equal(header.itemCount, 2);
+  assert.equal(header.fetchedAt, "2026-10-19T00:00:00.000Z");
+  assert.deepEqual(fs.readdirSync(dir), ["items.json.gz"]); // temp file renamed away
+
+  const read = cache.read();
+  assert.equal(read.status, "ok");
+  assert.deepEqual(read.raw, RAW);
+  assert.deepEqual(read.header, header);
+});
+
+test("a tampered payload, a truncated file and a missing file are told apart", () => {
+  const { cache } = tmpCache();
+  assert.deepEqual(cache.read(), { status: "missing" });
+
+  cache.write(RAW);
+  const [headerLine, body] = zlib.gunzipSync(fs.readFileSync(cache.file)).toString("utf8").split("\n");
+  fs.writeFileSync(cache.file, zlib.gzipSync(`${headerLine}\n${body.replace("Cacophony", "Cacophonx")}`));
+  assert.deepEqual(cache.read(), { status: "corrupt", error: "checksum mismatch" });
+
+  cache.write(RAW);
+  const bytes = fs.readFileSync(cache.file);
+  fs.writeFileSync(cache.file, bytes.subarray(0, bytes.length >> 1));
+  const truncated = cache.read();
+  assert.equal(truncated.status, "corrupt");
+  assert.match(truncated.error, /unreadable/);
+});
+
+test("plain JSON caches from older versions are still read", () => {
+  const { cache } = tmpCache();
+  fs.writeFileSync(cache.legacyFile, JSON.stringify(RAW));
+  const read = cache.read();
+  assert.equal(read.status, "legacy");
+  assert.deepEqual(read.raw, RAW);
+});
+
+test("writeFileAtomic leaves no tmp file behind when the rename fails", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-cache-"));
+  const target = path.join(dir, "taken");
+  fs.mkdirSync(path.join(target, "inside"), { recursive: true });
+  assert.throws(() => writeFileAtomic(target, "{}"));
+  assert.deepEqual(fs.readdirSync(dir), ["taken"]);
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { liveSwap } from "../src/liveSwap.js";
+
+function mkItem(name, slot, reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0]) {
+  return { name, slot, reqArr, bonusArr, bonusEffArr: bonusArr, set: null, setName: null };
+}
+
+test("a candidate whose requirements are met goes straight in", () => {
+  const helm = mkItem("Old Helm", "helmet", [0, 0, 0, 0, 0], [5, 0, 0, 0, 0]);
+  const boots = mkItem("Boots", "boots", [10, 0, 0, 0, 0]);
+  const cand = mkItem("New Helm", "helmet", [0, 20, 0, 0, 0], [5, 0, 0, 0, 0]);
+
+  assert.deepEqual(liveSwap([helm, boots], helm, cand, [5, 20, 0, 0, 0]), { direct: true, takeOffFirst: [], assignFirst: null });
+});
+
+test("the replaced piece's bonus is gone before the candidate goes in", () => {
+  const helm = mkItem("Old Helm", "helmet", [0, 0, 0, 0, 0], [0, 10, 0, 0, 0]);
+  const cand = mkItem("New Helm", "helmet", [0, 10, 0, 0, 0]);
+
+  const swap = liveSwap([helm], helm, cand, [0, 0, 0, 0, 0]);
+  assert.equal(swap.direct, false);
+  assert.equal(swap.takeOffFirst, null);
+  assert.deepEqual(swap.assignFirst, [0, 10, 0, 0, 0]);
+});
+
+test("pieces with penalties can be taken off first and put back afterwards", () => {
+  const helm = mkItem("Old Helm", "helmet");
+  const drain = mkItem("Drain Ring", "ring", [0, 0, 0, 0, 0], [0, 0, 0, 0, -10]);
+  const cand = mkItem("Agile Helm", "helmet", [0, 0, 0, 0, 20], [0, 0, 0, 0, 15]);
+
+  const swap = liveSwap([helm, drain], helm, cand, [0, 0, 0, 0, 20]);
+  assert.equal(swap.direct, false);
+  assert.deepEqual(swap.takeOffFirst, ["Drain Ring"]);
+  assert.equal(swap.assignFirst, null);
+});
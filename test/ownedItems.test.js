@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeItem } from "../src/wynnDb.js";
+import { instanceItem, ownedRef, validateOwnedItem } from "../src/ownedItems.js";
+
+const raw = {
+  type: "accessory",
+  accessoryType: "ring",
+  rarity: "rare",
+  requirements: { level: 60 },
+  identifications: { rawDexterity: { min: 2, raw: 5, max: 7 }, manaRegen: { min: 1, raw: 3, max: 4 } },
+};
+
+test("owned instances replace every roll mode with the recorded value", () => {
+  const base = normalizeItem("Test Ring", raw);
+  const byName = new Map([[base.name, base]]);
+
+  const parsed = validateOwnedItem({ itemName: "Test Ring", ids: { rawDexterity: 7 } }, byName);
+  assert.equal(parsed.ok, true);
+  const it = instanceItem(base, { id: "abc", ...parsed.value });
+
+  for (const mode of ["min", "avg", "max"]) {
+    assert.deepEqual(it.bonusRolls[mode], [0, 7, 0, 0, 0]);
+    assert.deepEqual(it.bonusEffRolls[mode], [0, 7, 0, 0, 0]);
+  }
+  assert.deepEqual(it.ids.rawDexterity, { min: 7, max: 7, avg: 7 });
+  assert.deepEqual(it.ids.manaRegen, base.ids.manaRegen);
+  assert.deepEqual(it.owned, { id: "abc", label: "Test Ring" });
+  assert.notEqual(base.ids.rawDexterity.min, 7);
+});
+
+test("ownedRef only matches the owned: prefix", () => {
+  assert.equal(ownedRef("owned:abc"), "abc");
+  assert.equal(ownedRef(" owned:abc "), "abc");
+  assert.equal(ownedRef("Cacophony"), null);
+  assert.equal(ownedRef(null), null);
+});
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeItem } from "../src/wynnDb.js";
+import { computeBuildStats } from "../src/compat.js";
+
+const ring = normalizeItem("Roller", {
+  type: "accessory",
+  accessoryType: "ring",
+  rarity: "rare",
+  requirements: { level: 50 },
+  identifications: { rawDexterity: { min: 3, raw: 5, max: 7 }, rawAgility: { min: -4, raw: -3, max: -2 } },
+});
+
+const bow = normalizeItem("Needy Bow", {
+  type: "weapon",
+  weaponType: "bow",
+  rarity: "rare",
+  requirements: { level: 50, dexterity: 6 },
+  identifications: { rawDexterity: { min: 10, raw: 20, max: 26 } },
+});
+
+test("normalization keeps worst, average and best skill rolls", () => {
+  assert.deepEqual(ring.bonusRolls, {
+    min: [0, 3, 0, 0, -4],
+    avg: [0, 5, 0, 0, -3],
+    max: [0, 7, 0, 0, -2],
+  });
+  assert.deepEqual(ring.bonusEffRolls.min, [0, 3, 0, 0, -4]);
+  assert.deepEqual(bow.bonusEffRolls, { min: [0, 0, 0, 0, 0], avg: [0, 0, 0, 0, 0], max: [0, 0, 0, 0, 0] });
+});
+
+test("computeBuildStats honors rollMode", () => {
+  // spend = DEX shortfall for the bow + AGI pulled below zero by the ring
+  const build = [ring, bow];
+
+  const avg = computeBuildStats(build, 10);
+  assert.equal(avg.finalSpend, 1 + 3);
+
+  const worst = computeBuildStats(build, 10, { rollMode: "min" });
+  assert.equal(worst.finalSpend, 3 + 4);
+  assert.deepEqual(worst.netBonus, [0, 3, 0, 0, -4]);
+  assert.equal(computeBuildStats(build, 6, { rollMode: "min" }).remainingSP, -1);
+
+  const best = computeBuildStats(build, 10, { rollMode: "max" });
+  assert.equal(best.finalSpend, 0 + 2);
+  assert.equal(best.equipOrderOk, true);
+});
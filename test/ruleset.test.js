@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_RULESET, parseRuleset, weaponTypeForClass } from "../src/ruleset.js";
+import { computeBuildStats, skillBudgetFromLevel } from "../src/compat.js";
+import { validateCustomItem } from "../src/customItems.js";
+import { solveBuild } from "../src/solver.js";
+
+function mkItem(name, slot, reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0]) {
+  const bonusEffArr = slot === "weapon" ? [0, 0, 0, 0, 0] : bonusArr;
+  return { name, slot, levelReq: 1, reqArr, bonusArr, bonusEffArr, rarity: "Rare", identifier: true, set: null, setName: null };
+}
+
+test("parseRuleset merges overrides and rejects bad values", () => {
+  assert.equal(parseRuleset(undefined).value, DEFAULT_RULESET);
+
+  const parsed = parseRuleset('{"skillPointLevelCap":121,"classWeapons":{"Warrior":"Spear"}}');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.value.perSkillCap, 100);
+  assert.deepEqual(parsed.value.classWeapons, { warrior: "spear" });
+  assert.equal(skillBudgetFromLevel(130, parsed.value), 240);
+  assert.equal(skillBudgetFromLevel(130), 200);
+
+  assert.match(parseRuleset({ perSkillCap: "lots" }).details, /perSkillCap must be an integer/);
+  assert.match(parseRuleset({ ringsPerBuild: 3 }).details, /unknown rule "ringsPerBuild"/);
+  assert.deepEqual(parseRuleset({ ringsPerBuild: 3 }).acceptedValues, Object.keys(DEFAULT_RULESET));
+  assert.equal(parseRuleset("{nope").ok, false);
+  assert.equal(parseRuleset({ classWeapons: {} }).ok, false);
+
+  assert.equal(weaponTypeForClass("shaman"), "relik");
+  assert.equal(weaponTypeForClass("shaman", parsed.value), null);
+});
+
+test("weapon bonuses and the skill cap follow the ruleset", () => {
+  const weapon = mkItem("Stick", "weapon", [0, 0, 0, 0, 0], [0, 20, 0, 0, 0]);
+  const bow = mkItem("Needy", "helmet", [0, 20, 0, 0, 0]);
+
+  assert.equal(computeBuildStats([weapon, bow], 0).finalSpend, 20);
+  const counting = parseRuleset({ weaponBonusesCountForRequirements: true }).value;
+  const st = computeBuildStats([weapon, bow], 0, { ruleset: counting });
+  assert.equal(st.finalSpend, 0);
+  assert.equal(st.equipOrderOk, true);
+
+  const heavy = mkItem("Heavy", "chestplate", [120, 0, 0, 0, 0]);
+  assert.equal(computeBuildStats([heavy], 200).equipOrderOk, false);
+  assert.equal(computeBuildStats([heavy], 200, { ruleset: parseRuleset({ perSkillCap: 150 }).value }).equipOrderOk, true);
+});
+
+test("custom items accept the classes and weapon types of ruleset.classWeapons", () => {
+  const staff = { name: "Oak Staff", slot: "weapon", weaponType: "staff", requirements: { class: "monk" } };
+  assert.match(validateCustomItem(staff).details, /weaponType must be one of: spear, bow, wand, dagger, relik/);
+  assert.equal(validateCustomItem({ ...staff, weaponType: "wand" }).details, "requirements.class must be one of: warrior, archer, mage, assassin, shaman");
+
+  const monks = parseRuleset({ classWeapons: { monk: "staff" } }).value;
+  const parsed = validateCustomItem(staff, monks);
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.value.requirements.class, "monk");
+  assert.match(validateCustomItem({ ...staff, weaponType: "wand" }, monks).details, /weaponType must be one of: staff$/);
+});
+
+test("solveBuild only wears the same ring twice when the ruleset allows it", () => {
+  const lockedBySlot = Object.fromEntries(
+    ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "weapon"].map((s) => [s, mkItem(`locked-${s}`, s)]),
+  );
+  const db = { bySlot: new Map([["ring", [mkItem("Only Ring", "ring")]]]) };
+  const ctx = { level: 106, budget: 0, lockedBySlot, tomes: [] };
+
+  assert.equal(solveBuild(db, ctx).best, null);
+  const allowed = solveBuild(db, { ...ctx, ruleset: parseRuleset({ allowDuplicateRings: true }).value });
+  assert.deepEqual(allowed.best.items.filter((it) => it.slot === "ring").map((it) => it.name), ["Only Ring", "Only Ring"]);
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeItem } from "../src/wynnDb.js";
+import { SearchIndex, parseSearchQuery } from "../src/searchIndex.js";
+
+const ring = (rarity, level, dex, extra = {}) => ({
+  type: "accessory",
+  accessoryType: "ring",
+  rarity,
+  requirements: { level },
+  identifications: { rawDexterity: dex, ...extra },
+});
+
+const index = new SearchIndex([
+  normalizeItem("Nova Band", ring("legendary", 70, 6, { manaRegen: { min: 1, raw: 4, max: 5 } })),
+  normalizeItem("Supernova Loop", ring("mythic", 75, 8)),
+  normalizeItem("Dusty Ring", ring("legendary", 55, 5)),
+  normalizeItem("Novice Ring", ring("common", 65, 1)),
+  normalizeItem("Nova Helm", { type: "armour", armourType: "helmet", rarity: "legendary", requirements: { level: 72 }, identifications: { rawDexterity: 9 } }),
+]);
+
+function names(q, opts) {
+  const parsed = parseSearchQuery(q);
+  assert.equal(parsed.ok, true);
+  const found = index.search(parsed.terms, opts);
+  assert.equal(found.ok, true, found.details);
+  return found.items.map((it) => it.name);
+}
+
+test("parseSearchQuery splits fields, operators, negation and quoted values", () => {
+  assert.deepEqual(parseSearchQuery('slot:ring lvl:60..80 dex>=5 -mythic name:~"nova b"').terms, [
+    { negate: false, field: "slot", op: ":", value: "ring" },
+    { negate: false, field: "lvl", op: ":", value: "60..80" },
+    { negate: false, field: "dex", op: ">=", value: "5" },
+    { negate: true, field: null, op: null, value: "mythic" },
+    { negate: false, field: "name", op: ":", value: "~nova b" },
+  ]);
+  assert.equal(parseSearchQuery("lvl:").ok, false);
+});
+
+test("the example query combines slot, level range, skill bonus, rarity and fuzzy name", () => {
+  assert.deepEqual(names('slot:ring lvl:60..80 dex>=5 rarity:legendary -mythic name:~"nova"'), ["Nova Band"]);
+  assert.deepEqual(names("slot:ring -mythic nova"), ["Nova Band"]);
+  assert.deepEqual(names("slot:ring lvl:..60"), ["Dusty Ring"]);
+  assert.deepEqual(names("lvl>70 legendary"), ["Nova Helm"]);
+  assert.deepEqual(names("manaregen>=3"), ["Nova Band"]);
+  assert.deepEqual(names("req.dex:0 dex<5 ring"), ["Novice Ring"]);
+});
+
+test("bare words keep the contains/starts/fuzzy modes", () => {
+  assert.deepEqual(names("nova"), ["Nova Band", "Nova Helm", "Supernova Loop"]);
+  assert.deepEqual(names("nova", { mode: "starts" }), ["Nova Band", "Nova Helm"]);
+  assert.deepEqual(names("nova b", { mode: "starts" }), ["Nova Band"]);
+  assert.deepEqual(names("nvb", { mode: "fuzzy" }), ["Nova Band"]);
+});
+
+test("name terms rank exact and prefix matches first and return highlight ranges", () => {
+  const found = index.search(parseSearchQuery("nova band").terms);
+  assert.deepEqual(found.items.map((it) => it.name), ["Nova Band"]);
+  assert.deepEqual(found.highlights, [[[0, 4], [5, 9]]]);
+
+  const typo = index.search(parseSearchQuery("suprenova").terms, { mode: "fuzzy" });
+  assert.equal(typo.items[0].name, "Supernova Loop");
+  assert.deepEqual(typo.highlights[0], [[0, 9]]);
+});
+
+test("unknown fields and bad numbers are reported", () => {
+  const bad = index.search(parseSearchQuery("colour:red").terms);
+  assert.equal(bad.ok, false);
+  assert.match(bad.details, /unknown field "colour"/);
+  assert.equal(index.search(parseSearchQuery("lvl:abc").terms).ok, false);
+  assert.equal(index.search(parseSearchQuery("slot>=3").terms).ok, false);
+});
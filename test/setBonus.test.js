@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { canEquipAllInSomeOrder, computeBuildStats, setBonusArr } from "../src/compat.js";
+import { parseSetDefinitions, attachSets, setSummary } from "../src/sets.js";
+
+function mkItem(name, slot, reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0]) {
+  return { name, slot, reqArr, bonusArr, bonusEffArr: bonusArr, set: null, setName: null };
+}
+
+function linkedSet(bonuses) {
+  const byName = new Map([
+    ["Hat", mkItem("Hat", "helmet")],
+    ["Coat", mkItem("Coat", "chestplate")],
+    ["Pants", mkItem("Pants", "leggings", [0, 10, 0, 0, 0])],
+  ]);
+  const sets = parseSetDefinitions({ Tailor: { items: ["Hat", "Coat", "Pants"], bonuses } });
+  attachSets(byName, sets);
+  return byName;
+}
+
+test("set skill bonuses unlock requirements once enough pieces are worn", () => {
+  const byName = linkedSet({ "2": { rawDexterity: 10 }, "3": { rawDexterity: 12, manaRegen: 3 } });
+  const build = [byName.get("Pants"), byName.get("Hat"), byName.get("Coat")];
+
+  assert.deepEqual(setBonusArr(build), [0, 12, 0, 0, 0]);
+  assert.deepEqual(setBonusArr(build.slice(0, 2)), [0, 10, 0, 0, 0]);
+  assert.equal(canEquipAllInSomeOrder(build, 0), true, "Hat + Coat give +10 DEX before Pants");
+
+  const st = computeBuildStats(build, 0);
+  assert.equal(st.finalSpend, 0);
+  assert.deepEqual(st.netBonus, [0, 12, 0, 0, 0]);
+});
+
+test("a piece cannot lean on the set bonus it completes itself", () => {
+  const byName = linkedSet({ "3": { rawDexterity: 10 } });
+  const build = [byName.get("Hat"), byName.get("Coat"), byName.get("Pants")];
+
+  const st = computeBuildStats(build, 0);
+  assert.equal(st.finalSpend, 0, "final totals include the 3-piece bonus");
+  assert.equal(st.equipOrderOk, false, "but Pants needs 10 DEX before the third piece is on");
+  assert.equal(computeBuildStats(build, 10).equipOrderOk, true);
+});
+
+test("set definitions accept array tiers and summarize the worn pieces", () => {
+  const sets = parseSetDefinitions({
+    Tailor: { items: ["Hat", "Coat"], bonuses: [{}, { rawStrength: 4, rawDefense: 2 }] },
+    Empty: { items: [], bonuses: {} },
+  });
+  assert.deepEqual(Array.from(sets.keys()), ["Tailor"]);
+  assert.deepEqual(sets.get("Tailor").tiers.map((t) => [t.count, t.bonusArr]), [[1, [0, 0, 0, 0, 0]], [2, [4, 0, 0, 2, 0]]]);
+
+  const byName = new Map([["Hat", mkItem("Hat", "helmet")], ["Coat", mkItem("Coat", "chestplate")]]);
+  assert.equal(attachSets(byName, sets), 2);
+
+  const [summary] = setSummary([byName.get("Hat")]);
+  assert.equal(summary.name, "Tailor");
+  assert.equal(summary.pieces, 1);
+  assert.equal(summary.nextBonusAt, 2);
+});
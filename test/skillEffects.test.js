@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { allocPresets } from "../src/compat.js";
+import { presetEffects, skillEffects, skillPointPercent } from "../src/skillEffects.js";
+
+function mkItem(name, slot, reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0]) {
+  return { name, slot, reqArr, bonusArr, bonusEffArr: slot === "weapon" ? [0, 0, 0, 0, 0] : bonusArr, set: null, setName: null };
+}
+
+test("skill point curve is zero below one point and flat past 150", () => {
+  assert.equal(skillPointPercent(0), 0);
+  assert.equal(skillPointPercent(-20), 0);
+  assert.ok(Math.abs(skillPointPercent(1) - 0.99) < 0.01);
+  assert.ok(Math.abs(skillPointPercent(150) - 80.77) < 0.01);
+  assert.equal(skillPointPercent(200), skillPointPercent(150));
+
+  assert.deepEqual(skillEffects([100, 0, 100, 100, 100]), {
+    damageBonus: 64.96,
+    critChance: 0,
+    spellCostReduction: 40.21,
+    damageReduction: 56.32,
+    dodgeChance: 61.78,
+  });
+});
+
+test("intelligence reaches 50% spell cost reduction at 150 points", () => {
+  assert.equal(skillEffects([0, 0, 150, 0, 0]).spellCostReduction, 50);
+  assert.equal(skillEffects([0, 0, 300, 0, 0]).spellCostReduction, 50);
+});
+
+test("preset effects use assigned points plus every item bonus, weapons included", () => {
+  const items = [mkItem("Helm", "helmet", [0, 0, 0, 20, 0], [0, 0, 0, 10, 0]), mkItem("Stick", "weapon", [0, 0, 0, 0, 0], [0, 0, 0, 0, 5])];
+  const presets = presetEffects(items, allocPresets(items, 40), "avg");
+  const byName = new Map(presets.map((p) => [p.name, p]));
+
+  const def = byName.get("Prioritize DEF");
+  assert.deepEqual(def.totals, { strength: 0, dexterity: 0, intelligence: 0, defence: 50, agility: 5 });
+  assert.ok(def.effects.damageReduction > byName.get("Balanced").effects.damageReduction);
+  assert.equal(def.effects.dodgeChance, Math.round(skillPointPercent(5) * 0.951 * 100) / 100);
+});
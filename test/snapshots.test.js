@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { SnapshotStore, diffSnapshots } from "../src/snapshots.js";
+
+function entry(over = {}) {
+  return {
+    slot: "ring",
+    rarity: "rare",
+    levelReq: 60,
+    classReq: null,
+    reqArr: [0, 20, 0, 0, 0],
+    bonusArr: [0, 4, 0, 0, 0],
+    ids: { manaRegen: { min: 2, max: 8, avg: 5 } },
+    ...over,
+  };
+}
+
+test("diffSnapshots lists added, removed and field-level changes", () => {
+  const from = {
+    Kept: entry(),
+    Nerfed: entry(),
+    Gone: entry({ slot: "helmet" }),
+  };
+  const to = {
+    Kept: entry(),
+    Nerfed: entry({
+      rarity: "legendary",
+      reqArr: [0, 25, 0, 0, 0],
+      bonusArr: [0, 3, 0, 0, 0],
+      ids: { manaRegen: { min: 1, max: 6, avg: 4 }, lifeSteal: { min: 10, max: 20, avg: 15 } },
+    }),
+    Fresh: entry({ levelReq: 99 }),
+  };
+
+  const diff = diffSnapshots(from, to);
+
+  assert.deepEqual(diff.added, [{ name: "Fresh", slot: "ring", rarity: "rare", levelReq: 99 }]);
+  assert.deepEqual(diff.removed, [{ name: "Gone", slot: "helmet", rarity: "rare", levelReq: 60 }]);
+  assert.equal(diff.changed.length, 1);
+  assert.deepEqual(diff.changed[0].changes, [
+    { field: "rarity", from: "rare", to: "legendary" },
+    { field: "req.dexterity", from: 20, to: 25 },
+    { field: "bonus.dexterity", from: 4, to: 3 },
+    { field: "id.lifeSteal", from: null, to: { min: 10, max: 20 } },
+    { field: "id.manaRegen", from: { min: 2, max: 8 }, to: { min: 1, max: 6 } },
+  ]);
+});
+
+test("SnapshotStore skips unchanged DBs and resolves date prefixes", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-snap-"));
+  const store = new SnapshotStore({ dir, maxSnapshots: 2 });
+  const mk = (levelReq) => ({ items: [{ name: "A", ...entry({ levelReq }) }] });
+
+  const first = store.record(mk(60), { now: new Date("2026-09-01T10:00:00Z") });
+  assert.equal(store.record(mk(60), { now: new Date("2026-09-02T10:00:00Z") }), first);
+  const second = store.record(mk(61), { now: new Date("2026-09-15T10:00:00Z") });
+  const third = store.record(mk(62), { now: new Date("2026-10-01T10:00:00Z") });
+
+  assert.equal(first, "2026-09-01T10-00-00Z");
+  assert.deepEqual(store.list().map((x) => x.id), [second, third]);
+  assert.equal(fs.existsSync(path.join(dir, `${first}.json`)), false);
+
+  assert.equal(store.resolve("2026-09-20").id, second);
+  assert.equal(store.resolve("2026-10-01").id, third);
+  assert.equal(store.resolve("2026-08"), null);
+  assert.equal(store.read(third).A.levelReq, 62);
+});
@@ -1,6 +1,10 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
+import { computeBuildStats } from "../src/compat.js";
+import { instanceItem } from "../src/ownedItems.js";
+import { itemStat } from "../src/objectives.js";
+import { DEFAULT_RULESET } from "../src/ruleset.js";
 import { solveBuild } from "../src/solver.js";
 
 function mkItem(name, slot, {
@@ -12,8 +16,9 @@ function mkItem(name, slot, {
   identifier = true,
   classReq = null,
   weaponType = null,
+  majorIds = [],
 } = {}) {
-  return { name, slot, levelReq, reqArr, bonusArr, bonusEffArr, rarity, identifier, classReq, weaponType };
+  return { name, slot, levelReq, reqArr, bonusArr, bonusEffArr, rarity, identifier, classReq, weaponType, majorIds };
 }
 
 test("solveBuild keeps high-value item beyond index 80 when shortlist is scored", () => {
@@ -64,3 +69,339 @@ test("solveBuild keeps high-value item beyond index 80 when shortlist is scored"
   assert.ok(result.best, "solver should find a build");
   assert.ok(result.best.items.some((it) => it.name === neededHelmet.name), "build should include the needed helmet");
 });
+
+test("solveBuild honours requiredMajorIds and reports ones no candidate has", () => {
+  const lockedBySlot = {
+    weapon: mkItem("locked-weapon", "weapon"),
+    chestplate: mkItem("locked-chest", "chestplate"),
+    leggings: mkItem("locked-legs", "leggings"),
+    boots: mkItem("locked-boots", "boots"),
+    necklace: mkItem("locked-neck", "necklace"),
+    bracelet: mkItem("locked-brace", "bracelet"),
+    ring1: mkItem("locked-ring-1", "ring"),
+    ring2: mkItem("locked-ring-2", "ring"),
+  };
+  const db = {
+    bySlot: new Map([
+      ["helmet", [
+        mkItem("cheap-helmet", "helmet"),
+        mkItem("archetype-helmet", "helmet", { levelReq: 90, reqArr: [0, 0, 0, 20, 0], majorIds: ["Saviour's Sacrifice"] }),
+      ]],
+    ]),
+  };
+  const ctx = { level: 106, budget: 30, lockedBySlot, tomes: [] };
+
+  assert.equal(solveBuild(db, ctx).best.items.some((it) => it.name === "archetype-helmet"), false);
+
+  const required = solveBuild(db, { ...ctx, requiredMajorIds: ["saviour's sacrifice"] });
+  assert.ok(required.best.items.some((it) => it.name === "archetype-helmet"));
+
+  const missing = solveBuild(db, { ...ctx, requiredMajorIds: ["peaceful effigy"] });
+  assert.equal(missing.best, null);
+  assert.deepEqual(missing.unavailableMajorIds, ["peaceful effigy"]);
+});
+
+test("solveBuild maximizes weighted objectives and enforces minimum stats", () => {
+  const lockedBySlot = {
+    weapon: mkItem("locked-weapon", "weapon"),
+    chestplate: mkItem("locked-chest", "chestplate"),
+    leggings: mkItem("locked-legs", "leggings"),
+    boots: mkItem("locked-boots", "boots"),
+    necklace: mkItem("locked-neck", "necklace"),
+    bracelet: mkItem("locked-brace", "bracelet"),
+  };
+  const withStats = (item, baseHealth, ids) => ({ ...item, baseHealth, ids });
+  const db = {
+    bySlot: new Map([
+      ["helmet", [
+        withStats(mkItem("tank-helmet", "helmet"), 3000, {}),
+        withStats(mkItem("mana-helmet", "helmet"), 500, { manaRegen: { avg: 8 } }),
+      ]],
+      ["ring", [
+        withStats(mkItem("hp-ring", "ring"), 600, {}),
+        withStats(mkItem("regen-ring", "ring"), 0, { manaRegen: { avg: 3 } }),
+        withStats(mkItem("plain-ring", "ring"), 0, {}),
+      ]],
+    ]),
+  };
+  const ctx = { level: 106, budget: 0, lockedBySlot, tomes: [] };
+  const names = (r) => r.best.items.map((it) => it.name).sort();
+
+  const mana = solveBuild(db, { ...ctx, objective: { weights: { health: 0.001, manaRegen: 1 }, minStats: {} } });
+  assert.deepEqual(names(mana).filter((n) => !n.startsWith("locked")), ["hp-ring", "mana-helmet", "regen-ring"]);
+  assert.equal(mana.best.score.stats.manaRegen, 11);
+
+  const tanky = solveBuild(db, { ...ctx, objective: { weights: { manaRegen: 1 }, minStats: { health: 3500 } } });
+  assert.deepEqual(names(tanky).filter((n) => !n.startsWith("locked")), ["hp-ring", "regen-ring", "tank-helmet"]);
+  assert.equal(tanky.best.score.stats.health, 3600);
+
+  const impossible = solveBuild(db, { ...ctx, objective: { weights: {}, minStats: { health: 5000 } } });
+  assert.equal(impossible.best, null);
+  assert.equal(impossible.nodesVisited, 1, "the first node already cannot reach the minimum");
+});
+
+test("solveBuild reads objective stats at the request's roll mode, owned rolls exactly", () => {
+  const lockedBySlot = Object.fromEntries(["weapon", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring1", "ring2"]
+    .map((slot) => [slot, mkItem(`locked-${slot}`, slot.startsWith("ring") ? "ring" : slot)]));
+  const steady = { ...mkItem("steady-helmet", "helmet"), ids: { manaRegen: { min: 6, avg: 6, max: 6 } } };
+  const swingy = { ...mkItem("swingy-helmet", "helmet"), ids: { manaRegen: { min: 1, avg: 5, max: 12 } } };
+  const db = { bySlot: new Map([["helmet", [steady, swingy]]]) };
+  const ctx = { level: 106, budget: 0, lockedBySlot, tomes: [], objective: { weights: { manaRegen: 1 }, minStats: {} } };
+  const helmet = (r) => r.best.items.find((it) => it.slot === "helmet").name;
+
+  assert.equal(helmet(solveBuild(db, { ...ctx, rollMode: "avg" })), "steady-helmet");
+  const max = solveBuild(db, { ...ctx, rollMode: "max" });
+  assert.equal(helmet(max), "swingy-helmet");
+  assert.equal(max.best.score.objective, 12);
+  assert.equal(solveBuild(db, { ...ctx, rollMode: "max", objective: { weights: {}, minStats: { manaRegen: 10 } } }).best.score.stats.manaRegen, 12);
+  assert.equal(solveBuild(db, { ...ctx, rollMode: "min", objective: { weights: {}, minStats: { manaRegen: 10 } } }).best, null);
+  const filtered = (rollMode) => solveBuild(db, { ...ctx, rollMode, objective: null, minIds: { manaRegen: 10 } });
+  assert.equal(helmet(filtered("max")), "swingy-helmet");
+  assert.equal(filtered("avg").best, null);
+
+  const owned = instanceItem(swingy, { id: 1, name: "my swingy", itemName: "swingy-helmet", ids: { manaRegen: 9 } });
+  for (const mode of ["min", "avg", "max"]) assert.equal(itemStat(owned, "manaRegen", mode), 9);
+});
+
+test("solveBuild considers owned copies at their exact rolls in unlocked slots", () => {
+  const lockedBySlot = Object.fromEntries(["weapon", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring2"]
+    .map((slot) => [slot, mkItem(`locked-${slot}`, slot.startsWith("ring") ? "ring" : slot)]));
+  lockedBySlot.helmet = mkItem("locked-helmet", "helmet", { reqArr: [0, 10, 0, 0, 0] });
+  const dexRing = mkItem("dex-ring", "ring", { bonusArr: [0, 5, 0, 0, 0] });
+  dexRing.bonusRolls = { min: [0, 3, 0, 0, 0], avg: [0, 5, 0, 0, 0], max: [0, 7, 0, 0, 0] };
+  dexRing.bonusEffRolls = dexRing.bonusRolls;
+  const db = { bySlot: new Map([["ring", [dexRing]]]) };
+  const ctx = { level: 106, budget: 0, lockedBySlot, tomes: [] };
+
+  // the average +5 DEX leaves the helmet 5 short; the owned +10 copy covers it
+  assert.equal(solveBuild(db, ctx).best, null);
+  const myRing = instanceItem(dexRing, { id: 7, name: "my dex ring", itemName: "dex-ring", ids: { rawDexterity: 10 } });
+  const solved = solveBuild(db, { ...ctx, ownedItems: [myRing] });
+  const ring = solved.best.items.find((it) => it.slot === "ring" && it.name === "dex-ring");
+  assert.deepEqual(ring.owned, { id: 7, label: "my dex ring" });
+  assert.equal(solved.best.score.remaining, 0);
+
+  // with duplicate rings allowed the DB ring may be worn twice, the one owned copy only once
+  const dup = { ...ctx, budget: 5, ruleset: { ...DEFAULT_RULESET, allowDuplicateRings: true }, ownedItems: [myRing] };
+  dup.lockedBySlot = { ...lockedBySlot, helmet: mkItem("locked-helmet", "helmet", { reqArr: [0, 20, 0, 0, 0] }) };
+  delete dup.lockedBySlot.ring2;
+  const pair = solveBuild(db, dup);
+  assert.equal(pair.best.items.filter((it) => it.owned).length, 1);
+  assert.equal(pair.best.score.remaining, 0);
+  const lockedCopy = solveBuild(db, { ...dup, lockedBySlot: { ...dup.lockedBySlot, ring2: myRing } });
+  assert.equal(lockedCopy.best.items.filter((it) => it.owned).length, 1);
+  assert.equal(lockedCopy.best.score.remaining, 0);
+});
+
+test("solveBuild returns the top K builds, a Pareto front and diverse results", () => {
+  const lockedBySlot = {
+    weapon: mkItem("locked-weapon", "weapon"),
+    chestplate: mkItem("locked-chest", "chestplate"),
+    leggings: mkItem("locked-legs", "leggings"),
+    necklace: mkItem("locked-neck", "necklace"),
+    bracelet: mkItem("locked-brace", "bracelet"),
+    ring1: mkItem("locked-ring-1", "ring"),
+    ring2: mkItem("locked-ring-2", "ring"),
+  };
+  const db = {
+    bySlot: new Map([
+      ["helmet", [
+        mkItem("h-free-neg", "helmet", { bonusArr: [0, -5, 0, 0, 0] }),
+        mkItem("h-cost10", "helmet", { reqArr: [10, 0, 0, 0, 0] }),
+        mkItem("h-cost20", "helmet", { reqArr: [20, 0, 0, 0, 0] }),
+        mkItem("h-cost20-neg", "helmet", { reqArr: [20, 0, 0, 0, 0], bonusArr: [0, -8, 0, 0, 0] }),
+      ]],
+      ["boots", [
+        mkItem("b-free", "boots"),
+        mkItem("b-cost5", "boots", { reqArr: [0, 0, 5, 0, 0] }),
+      ]],
+    ]),
+  };
+  const ctx = { level: 106, budget: 40, lockedBySlot, tomes: [] };
+  const picks = (r) => r.items.filter((it) => !it.name.startsWith("locked")).map((it) => it.name).sort().join("+");
+
+  const top = solveBuild(db, { ...ctx, topK: 3 });
+  assert.deepEqual(top.results.map(picks), ["b-free+h-free-neg", "b-free+h-cost10", "b-cost5+h-free-neg"]);
+  assert.equal(top.best, top.results[0]);
+
+  const diverse = solveBuild(db, { ...ctx, topK: 3, diversity: 2 });
+  assert.deepEqual(diverse.results.map(picks), ["b-free+h-free-neg", "b-cost5+h-cost10"]);
+
+  const front = solveBuild(db, { ...ctx, pareto: "neg" });
+  assert.deepEqual(front.results.map(picks), ["b-free+h-free-neg", "b-free+h-cost10"]);
+  assert.deepEqual(front.results.map((r) => r.axis), [[35, -5], [30, 0]]);
+});
+
+function seededRandom(seed) {
+  let state = seed;
+  const rand = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { rand, int: (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1)) };
+}
+
+// deterministic item generator for the branch-and-bound tests
+function randomItems(seed, perSlot, { ringCount = perSlot, sets = [] } = {}) {
+  const { rand, int } = seededRandom(seed);
+  const bySlot = new Map();
+  for (const slot of ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"]) {
+    const list = [];
+    for (let i = 0; i < (slot === "ring" ? ringCount : perSlot); i++) {
+      const reqArr = [0, 0, 0, 0, 0];
+      if (rand() < 0.6) for (let n = int(1, 2); n > 0; n--) reqArr[int(0, 4)] = int(10, 90);
+      const bonusArr = [0, 0, 0, 0, 0].map(() => (rand() < 0.35 ? int(-10, 15) : 0));
+      const item = mkItem(`${slot}-${i}`, slot, {
+        levelReq: int(1, 106),
+        reqArr,
+        bonusArr,
+        bonusEffArr: slot === "weapon" ? [0, 0, 0, 0, 0] : bonusArr,
+      });
+      item.set = sets.length && rand() < 0.3 ? sets[int(0, sets.length - 1)] : null;
+      item.baseHealth = int(0, 3000);
+      list.push(item);
+    }
+    bySlot.set(slot, list);
+  }
+  return { bySlot };
+}
+
+// shaped like the level 80+ data: most items need one or two skills at 20-100, most give a few points
+// (some negative), and base health is on armour
+function realisticItems(seed, perSlot, { ringCount = perSlot } = {}) {
+  const { rand, int } = seededRandom(seed);
+  const bySlot = new Map();
+  for (const slot of ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"]) {
+    const list = [];
+    for (let i = 0; i < (slot === "ring" ? ringCount : perSlot); i++) {
+      const reqArr = [0, 0, 0, 0, 0];
+      const reqs = rand() < 0.15 ? 0 : rand() < 0.9 ? int(1, 2) : 3;
+      for (let n = reqs; n > 0; n--) reqArr[int(0, 4)] = int(20, 70) + (rand() < 0.15 ? 30 : 0);
+      const bonusArr = [0, 0, 0, 0, 0];
+      if (rand() < 0.6) for (let n = int(1, 2); n > 0; n--) bonusArr[int(0, 4)] = rand() < 0.15 ? -int(3, 15) : int(3, 15);
+      const item = mkItem(`${slot}-${i}`, slot, {
+        levelReq: int(80, 106),
+        reqArr,
+        bonusArr,
+        bonusEffArr: slot === "weapon" ? [0, 0, 0, 0, 0] : bonusArr,
+      });
+      item.baseHealth = ["helmet", "chestplate", "leggings", "boots"].includes(slot) ? int(1500, 4000)
+        : slot === "weapon" ? 0 : int(0, 700);
+      list.push(item);
+    }
+    bySlot.set(slot, list);
+  }
+  return { bySlot };
+}
+
+function bruteForceBest(db, ctx, scoreOf) {
+  const slots = ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "weapon"].filter((s) => !ctx.lockedBySlot[s]);
+  const locked = Object.values(ctx.lockedBySlot);
+  const rings = db.bySlot.get("ring");
+  let best = null;
+  const visit = (i, items) => {
+    if (i < slots.length) {
+      for (const it of db.bySlot.get(slots[i])) visit(i + 1, items.concat([it]));
+      return;
+    }
+    for (let a = 0; a < rings.length; a++) {
+      for (let b = a + 1; b < rings.length; b++) {
+        const build = locked.concat(items, [rings[a], rings[b]]);
+        const st = computeBuildStats(build, ctx.budget, {});
+        if (st.remainingSP < 0 || !st.equipOrderOk) continue;
+        const score = scoreOf(build, st);
+        const k = best ? score.findIndex((v, j) => v !== best[j]) : -1;
+        if (!best || (k >= 0 && score[k] > best[k])) best = score;
+      }
+    }
+  };
+  visit(0, []);
+  return best;
+}
+
+test("solveBuild's bounds never cut the best build", () => {
+  const sets = [
+    { name: "Twins", tiers: [{ count: 2, bonusArr: [10, 0, 0, 0, 10] }] },
+    { name: "Trio", tiers: [{ count: 2, bonusArr: [0, -5, 0, 5, 0] }, { count: 3, bonusArr: [0, 20, 0, 20, 0] }] },
+  ];
+  const neg = (items) => items.reduce((s, it) => s + it.bonusArr.reduce((n, v) => n + Math.max(0, -v), 0), 0);
+  for (const seed of [1, 2, 3, 4]) {
+    const db = randomItems(seed, 3, { ringCount: 4, sets });
+    const ctx = {
+      level: 106,
+      budget: 90,
+      lockedBySlot: { weapon: mkItem("locked-weapon", "weapon"), necklace: mkItem("locked-neck", "necklace") },
+      tomes: [],
+    };
+
+    const byRemaining = bruteForceBest(db, ctx, (items, st) => [st.remainingSP, -neg(items)]);
+    assert.ok(byRemaining, `seed ${seed} has a build`);
+    const solved = solveBuild(db, ctx);
+    assert.deepEqual(solved.best ? [solved.best.score.remaining, -solved.best.score.neg] : null, byRemaining, `seed ${seed}`);
+
+    const health = (items) => items.reduce((s, it) => s + (it.baseHealth ?? 0), 0);
+    const byHealth = bruteForceBest(db, ctx, (items, st) => [health(items), st.remainingSP]);
+    const weighted = solveBuild(db, { ...ctx, objective: { weights: { health: 1 }, minStats: {} } });
+    assert.deepEqual(weighted.best ? [weighted.best.score.objective, weighted.best.score.remaining] : null, byHealth, `seed ${seed}, weighted`);
+    assert.equal(solved.truncated || weighted.truncated, false);
+  }
+});
+
+test("solveBuild finishes a full unlocked weighted solve on realistic requirements", () => {
+  const db = realisticItems(7, 150, { ringCount: 120 });
+  const ctx = {
+    level: 106, budget: 200, lockedBySlot: {}, tomes: [], poolCap: 80, ringPoolCap: 140, maxNodes: 200000,
+    objective: { weights: { health: 1 }, minStats: {} },
+  };
+
+  const weighted = solveBuild(db, ctx);
+  assert.equal(weighted.truncated, false);
+  assert.ok(weighted.best);
+  assert.equal(weighted.best.score.equipOrderOk, true);
+  assert.ok(weighted.best.score.remaining >= 0);
+
+  const plain = solveBuild(db, { ...ctx, objective: null });
+  assert.equal(plain.truncated, false);
+  assert.ok(plain.best);
+
+  const top = solveBuild(db, { ...ctx, topK: 5 });
+  assert.equal(top.truncated, false);
+  assert.equal(top.results.length, 5);
+  assert.deepEqual(top.best.score, weighted.best.score);
+
+  // the greedy build and local search count their builds as nodes: one node is the greedy build alone
+  assert.ok(weighted.timeline.some((t) => t.phase === "local"));
+  const tight = solveBuild(db, { ...ctx, maxNodes: 1 });
+  assert.equal(tight.truncated, true);
+  assert.equal(tight.nodesVisited, 1);
+  assert.deepEqual(tight.timeline.map((t) => t.phase), ["greedy"]);
+});
+
+test("solveBuild with a time limit starts from a greedy build and still finds the best one", () => {
+  const db = randomItems(1, 150, { ringCount: 200 });
+  const ctx = { level: 106, budget: 200, lockedBySlot: {}, tomes: [], objective: { weights: { health: 1 }, minStats: {} } };
+
+  // no time at all: the greedy build, then nothing
+  const rushed = solveBuild(db, { ...ctx, timeLimitMs: 0 });
+  assert.equal(rushed.timedOut, true);
+  assert.equal(rushed.truncated, true);
+  assert.ok(rushed.best);
+  assert.deepEqual(rushed.timeline.map((t) => t.phase), ["greedy"]);
+  assert.equal(rushed.timeline[0].objective, rushed.best.score.objective);
+
+  const exact = solveBuild(db, ctx);
+  const timed = solveBuild(db, { ...ctx, timeLimitMs: 60000 });
+  assert.equal(timed.timedOut, false);
+  assert.equal(timed.truncated, false);
+  assert.deepEqual(timed.best.score, exact.best.score);
+  assert.equal(timed.timeline[0].phase, "greedy");
+  assert.ok(timed.timeline.some((t) => t.phase === "local"), "local search improves the greedy build");
+  for (let i = 1; i < timed.timeline.length; i++) {
+    assert.ok(timed.timeline[i].objective >= timed.timeline[i - 1].objective);
+    assert.ok(timed.timeline[i].ms >= timed.timeline[i - 1].ms);
+  }
+  assert.equal(timed.timeline.at(-1).objective, timed.best.score.objective);
+  assert.ok(timed.elapsedMs >= timed.timeline.at(-1).ms);
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { on, once } from "node:events";
+
+import { SolveJobs } from "../src/solveJobs.js";
+
+// many items with scattered requirements and a Pareto front of remaining SP vs health: a search that runs for a while
+function slowSolveInput() {
+  let state = 8;
+  const rand = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const int = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+  const bySlot = new Map();
+  for (const slot of ["helmet", "chestplate", "leggings", "boots", "necklace", "bracelet", "ring", "weapon"]) {
+    const list = [];
+    for (let i = 0; i < 120; i++) {
+      const reqArr = [0, 0, 0, 0, 0].map(() => (rand() < 0.4 ? int(10, 100) : 0));
+      const bonusArr = [0, 0, 0, 0, 0].map(() => (rand() < 0.35 ? int(-12, 15) : 0));
+      list.push({
+        name: `${slot}-${i}`, slot, levelReq: int(1, 106), reqArr, bonusArr,
+        bonusEffArr: slot === "weapon" ? [0, 0, 0, 0, 0] : bonusArr,
+        rarity: "Rare", identifier: true, classReq: null, weaponType: null, majorIds: [], set: null, ids: {}, baseHealth: int(0, 3000),
+      });
+    }
+    bySlot.set(slot, list);
+  }
+  const ctx = { level: 106, budget: 120, lockedBySlot: {}, tomes: [], maxNodes: 2000000, pareto: "health", objective: { weights: { health: 1 }, minStats: {} } };
+  return { db: { bySlot }, ctx };
+}
+
+test("solve jobs report progress from the worker and stop when cancelled", async () => {
+  const jobs = new SolveJobs({ maxRunning: 1 });
+  const job = jobs.start(slowSolveInput(), (result) => result);
+  assert.equal(job.status, "running");
+  assert.equal(jobs.start(slowSolveInput(), (result) => result), null, "only one job may run");
+
+  // the greedy build and local search report first, before the search has visited a branch
+  let progress = null;
+  for await ([progress] of on(job.events, "progress")) {
+    if (progress.nodesVisited >= 5000) break;
+  }
+  assert.ok(progress.nodesVisited >= 5000);
+  assert.equal(progress.maxNodes, 2000000);
+
+  const ended = once(job.events, "end");
+  assert.equal(jobs.cancel(job.id), job);
+  await ended;
+  assert.equal(job.status, "cancelled");
+  assert.equal(jobs.get(job.id).status, "cancelled", "finished jobs stay readable");
+  assert.equal(jobs.runningCount(), 0);
+});
+
+test("solve jobs keep the finished result", async () => {
+  const jobs = new SolveJobs();
+  const input = { db: { bySlot: new Map() }, ctx: { level: 106, budget: 0, lockedBySlot: {}, tomes: [] } };
+  const job = jobs.start(input, (result) => ({ found: result.best != null, nodes: result.nodesVisited }));
+  await once(job.events, "end");
+  assert.equal(job.status, "done");
+  assert.deepEqual(job.result, { found: false, nodes: 1 });
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseRuleset } from "../src/ruleset.js";
+import { resolveTomes, tomeUsage } from "../src/tomes.js";
+import { solveBuild } from "../src/solver.js";
+
+function mkItem(name, slot, { reqArr = [0, 0, 0, 0, 0], bonusArr = [0, 0, 0, 0, 0], tomeType = null, levelReq = 1 } = {}) {
+  return { name, slot, levelReq, reqArr, bonusArr, bonusEffArr: bonusArr, tomeType, rarity: "Rare", identifier: true, set: null, setName: null };
+}
+
+const armourTome = mkItem("Armour Tome", "tome", { tomeType: "armour_tome", bonusArr: [0, 0, 0, 3, 0] });
+const guildTome = mkItem("Guild Tome", "tome", { tomeType: "guild_tome", bonusArr: [2, 0, 0, 0, 0] });
+const xpTome = mkItem("XP Tome", "tome", { tomeType: "mob_xp_tome" });
+const byName = new Map([armourTome, guildTome, xpTome, mkItem("Helm", "helmet")].map((it) => [it.name, it]));
+
+test("resolveTomes checks names, tome types and slot capacity", () => {
+  const four = resolveTomes(Array(4).fill("Armour Tome"), byName);
+  assert.equal(four.ok, true);
+  assert.deepEqual(tomeUsage(four.items).armour, { used: 4, capacity: 4 });
+
+  assert.match(resolveTomes(Array(5).fill("Armour Tome"), byName).details, /5 armour tomes selected, only 4/);
+  assert.match(resolveTomes(["Guild Tome", "Guild Tome"], byName).details, /only 1 guild/);
+  assert.match(resolveTomes(["Helm"], byName).details, /not a tome/);
+  assert.match(resolveTomes(["Nope"], byName).details, /no such item/);
+  assert.match(resolveTomes("Armour Tome", byName).details, /must be a list/);
+
+  const xp = resolveTomes(["XP Tome"], byName);
+  assert.match(xp.details, /"mob_xp_tome" has no tome slot/);
+  assert.ok(xp.acceptedValues.includes("armour_tome"));
+
+  const withXp = parseRuleset({ tomeSlots: { armour: 4, xp: 1 }, tomeTypes: { armour_tome: "armour", mob_xp_tome: "xp" } });
+  assert.equal(resolveTomes(["XP Tome"], byName, withXp.value).ok, true);
+  assert.match(parseRuleset({ tomeTypes: { mob_xp_tome: "xp" } }).details, /no tome slot "xp"/);
+});
+
+test("the default tome slots take the live payload's mysticism, expertise and marathon tomes", () => {
+  const tomes = [
+    mkItem("Dragon's Tome of Mysticism II", "tome", { tomeType: "mysticism_tome" }),
+    mkItem("Tome of Countering Expertise III", "tome", { tomeType: "expertise_tome" }),
+    mkItem("Fleetfooted Tome of the Marathon II", "tome", { tomeType: "marathon_tome" }),
+  ];
+  const live = new Map(tomes.map((it) => [it.name, it]));
+  const [mysticism, expertise, marathon] = tomes.map((it) => it.name);
+
+  const all = resolveTomes([mysticism, expertise, marathon], live);
+  assert.equal(all.ok, true);
+  assert.deepEqual(tomeUsage(all.items).weapon, { used: 2, capacity: 2 });
+  assert.deepEqual(tomeUsage(all.items).armour, { used: 1, capacity: 4 });
+  assert.match(resolveTomes([mysticism, expertise, mysticism], live).details, /3 weapon tomes selected, only 2/);
+});
+
+test("solveBuild fills empty tome slots only when asked and only with tomes that free skill points", () => {
+  const lockedBySlot = Object.fromEntries(
+    ["chestplate", "leggings", "boots", "necklace", "bracelet", "ring1", "ring2", "weapon"].map((s) => [s, mkItem(`locked-${s}`, s.replace(/\d$/, ""))]),
+  );
+  const db = {
+    bySlot: new Map([
+      ["helmet", [mkItem("Heavy Helm", "helmet", { reqArr: [0, 0, 0, 10, 0] })]],
+      ["tome", [armourTome, guildTome, xpTome]],
+    ]),
+  };
+  const ctx = { level: 106, budget: 10, lockedBySlot, tomes: [] };
+
+  const plain = solveBuild(db, ctx);
+  assert.equal(plain.best.score.remaining, 0);
+  assert.deepEqual(plain.best.pickedTomes, []);
+
+  const picked = solveBuild(db, { ...ctx, pickTomes: true });
+  assert.deepEqual(picked.best.pickedTomes.map((it) => it.name), ["Armour Tome", "Armour Tome", "Armour Tome", "Armour Tome"]);
+  assert.equal(picked.best.score.remaining, 10);
+
+  const tight = solveBuild(db, { ...ctx, budget: 0 });
+  assert.equal(tight.best, null);
+  const rescued = solveBuild(db, { ...ctx, budget: 0, pickTomes: true, tomes: [armourTome] });
+  assert.equal(rescued.best.pickedTomes.length, 3, "one armour slot is already taken");
+  assert.equal(rescued.best.score.remaining, 0);
+});
@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { WynnDb } from "../src/wynnDb.js";
+
+function dbWithRaw(raw) {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "wynnhelper-db-"));
+  fs.writeFileSync(path.join(cacheDir, ".wynn_item_cache.json"), JSON.stringify(raw));
+  return new WynnDb({ cacheDir });
+}
+
+test("load normalizes every identification into min/max/avg", async () => {
+  const db = dbWithRaw({
+    Forbearance: {
+      type: "accessory",
+      accessoryType: "ring",
+      rarity: "fabled",
+      requirements: { level: 105, dexterity: 60, intelligence: 60 },
+      identifications: {
+        rawDexterity: 4,
+        manaRegen: { min: 2, raw: 6, max: 8 },
+        lifeSteal: { min: 42, raw: 140, max: 182 },
+        waterDamage: { min: -16, raw: -12, max: -8 },
+        rawDefense: 3,
+      },
+    },
+  });
+
+  const d = await db.load();
+  const ring = d.byName.get("Forbearance");
+
+  assert.deepEqual(ring.ids.rawDexterity, { min: 4, max: 4, avg: 4 });
+  assert.deepEqual(ring.ids.manaRegen, { min: 2, max: 8, avg: 5 });
+  assert.deepEqual(ring.ids.lifeSteal, { min: 42, max: 182, avg: 112 });
+  assert.deepEqual(ring.ids.waterDamage, { min: -16, max: -8, avg: -12 });
+  assert.deepEqual(ring.ids.rawDefence, { min: 3, max: 3, avg: 3 });
+  assert.equal(ring.ids.rawDefense, undefined);
+  assert.deepEqual(ring.bonusArr, [0, 4, 0, 3, 0]);
+  assert.deepEqual(d.idNames, ["lifeSteal", "manaRegen", "rawDefence", "rawDexterity", "waterDamage"]);
+});
+
+test("load gives items without identifications an empty ids map", async () => {
+  const db = dbWithRaw({
+    Plain: { type: "armour", armourType: "helmet", rarity: "common", requirements: { level: 1 } },
+  });
+
+  const d = await db.load();
+  assert.deepEqual(d.byName.get("Plain").ids, {});
+});
+
+test("load normalizes weapon damage ranges, attack speed and DPS", async () => {
+  const db = dbWithRaw({
+    "Blunt Force": {
+      type: "weapon",
+      weaponType: "spear",
+      attackSpeed: "veryFast",
+      rarity: "fabled",
+      requirements: { level: 105 },
+      base: {
+        baseDamage: { min: 0, raw: 0, max: 10 },
+        baseAirDamage: { min: 40, raw: 40, max: 90 },
+        baseFireDamage: { min: 60, raw: 60, max: 70 },
+        baseEarthDamage: { min: 50, raw: 50, max: 80 },
+      },
+    },
+  });
+
+  const d = await db.load();
+  const weapon = d.byName.get("Blunt Force");
+
+  assert.equal(weapon.attackSpeed, "veryFast");
+  assert.deepEqual(weapon.damage, {
+    neutral: { min: 0, max: 10 },
+    earth: { min: 50, max: 80 },
+    fire: { min: 60, max: 70 },
+    air: { min: 40, max: 90 },
+  });
+  assert.equal(weapon.dps, 620);
+  assert.equal(weapon.baseHealth, 0);
+});
+
+test("load normalizes armour base health and elemental defences", async () => {
+  const db = dbWithRaw({
+    "Aleph Null": {
+      type: "armour",
+      armourType: "leggings",
+      rarity: "set",
+      requirements: { level: 105 },
+      base: { baseHealth: 2000, baseAirDefence: -150, baseFireDefence: -150, baseEarthDefence: -150 },
+    },
+  });
+
+  const d = await db.load();
+  const legs = d.byName.get("Aleph Null");
+
+  assert.equal(legs.baseHealth, 2000);
+  assert.deepEqual(legs.baseDefArr, [-150, 0, 0, -150, -150]);
+  assert.equal(legs.damage, null);
+  assert.equal(legs.dps, 0);
+});
+
+test("load keeps major ID names and powder slots", async () => {
+  const db = dbWithRaw({
+    Warchief: {
+      type: "armour",
+      armourType: "helmet",
+      rarity: "legendary",
+      powderSlots: 3,
+      majorIds: { "Saviour's Sacrifice": "<span>While under 20% maximum health...</span>" },
+      requirements: { level: 90 },
+    },
+    Legacy: { type: "armour", armourType: "boots", rarity: "rare", majorIds: ["Peaceful Effigy"], requirements: { level: 50 } },
+    Plain: { type: "armour", armourType: "boots", rarity: "rare", requirements: { level: 50 } },
+  });
+
+  const d = await db.load();
+  assert.deepEqual(d.byName.get("Warchief").majorIds, ["Saviour's Sacrifice"]);
+  assert.equal(d.byName.get("Warchief").powderSlots, 3);
+  assert.deepEqual(d.byName.get("Legacy").majorIds, ["Peaceful Effigy"]);
+  assert.deepEqual(d.byName.get("Plain").majorIds, []);
+  assert.equal(d.byName.get("Plain").powderSlots, 0);
+});
+
+test("load reports skipped items, unparseable requirements, unknown rarities and heuristic tomes", async () => {
+  const db = dbWithRaw({
+    "Dernic Gem": { type: "material", requirements: { level: 110 } },
+    "Odd Ingredient": { type: "ingredient", subType: "food", requirements: { level: 1 } },
+    "Broken Helm": { type: "armour", armourType: "helmet", rarity: "rare", requirements: { level: "??", strength: "lots" } },
+    "Shiny Ring": { type: "accessory", accessoryType: "ring", rarity: "glitched", requirements: { level: 10, newKey: 1 } },
+    "Guild Tome": { type: "misc", subType: "guild_tome", rarity: "rare", requirements: { level: 100 } },
+    "Real Tome": { type: "tome", rarity: "mythic", requirements: { level: 100 } },
+    "Spear": { type: "weapon", weaponType: "spear", rarity: "rare", requirements: { level: 1, class_requirement: "warrior" } },
+  });
+
+  const d = await db.load();
+  const q = d.quality;
+
+  assert.equal(q.totalRaw, 7);
+  assert.equal(q.kept, 5);
+  assert.deepEqual(q.skipped.byType, { material: 1, ingredient: 1 });
+  assert.deepEqual(q.skipped.byTypeSubType, { "material/-": 1, "ingredient/food": 1 });
+  assert.deepEqual(q.unparseableRequirements.samples, [{ name: "Broken Helm", fields: ["level", "strength"] }]);
+  assert.deepEqual(q.unknownRequirementKeys, { newKey: 1 });
+  assert.deepEqual(q.classRequirementKeys, { class_requirement: 1 });
+  assert.deepEqual(q.unknownRarities.byRarity, { glitched: 1 });
+  assert.deepEqual(q.heuristicTomes.samples, [{ name: "Guild Tome", type: "misc", subType: "guild_tome" }]);
+
+  const helm = d.byName.get("Broken Helm");
+  assert.equal(helm.levelReq, 0);
+  assert.deepEqual(helm.reqArr, [0, 0, 0, 0, 0]);
+});